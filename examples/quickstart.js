@@ -1,5 +1,6 @@
 import Blockchain from '../src/core/Blockchain.js';
 import Wallet from '../src/wallet/Wallet.js';
+import { loadGenesisSpec } from '../src/core/Genesis.js';
 
 /**
  * Quick Start Example - EnergyAI Blockchain
@@ -10,7 +11,12 @@ console.log('🚀 EnergyAI Blockchain - Quick Start Example\n');
 
 // Step 1: Create blockchain
 console.log('Step 1: Creating blockchain...');
-const energyAI = new Blockchain();
+// Demo oracle authorised to sign energy mints
+const oracle = new Wallet();
+const energyAI = new Blockchain({
+    genesis: { ...loadGenesisSpec(), issuers: [{ name: 'demo-oracle', address: oracle.getAddress() }] },
+    issuerKey: oracle.keyPair
+});
 console.log('✅ Blockchain created\n');
 
 // Step 2: Create wallets
@@ -1,6 +1,8 @@
 import crypto from 'crypto';
 import { calculateEnergyBonus, estimateEnergyConsumption } from '../utils/EnergyUtils.js';
+import { keyToAddress, signHash, verifySignature } from '../utils/Address.js';
 import { BLOCKCHAIN_CONFIG } from './Constants.js';
+import Transaction from './Transaction.js';
 
 /**
  * Block class representing a single block in the EnergyAI blockchain (OPTIMIZED)
@@ -13,6 +15,9 @@ class Block {
     this.previousHash = previousHash;
     this.hash = '';
     this.nonce = 0;
+    this.difficulty = 0; // Leading zeros required by proof of work
+    this.validator = null; // Proof of stake: address of the proposer
+    this.signature = null; // Proof of stake: proposer's signature over the hash
 
     // Energy-specific data
     this.energyData = {
@@ -25,6 +30,16 @@ class Block {
       computeProof: energyData.computeProof || null // Proof of actual AI computation
     };
 
+    // Grid region for carbon intensity; only set when reported, so older blocks hash the same
+    if (energyData.gridRegion) {
+      this.energyData.gridRegion = energyData.gridRegion;
+    }
+
+    // Genesis only: hash of the network's genesis spec (see hashGenesisSpec)
+    if (energyData.genesisSpec) {
+      this.energyData.genesisSpec = energyData.genesisSpec;
+    }
+
     // Calculate energy efficiency bonus using centralized utility
     this.energyBonus = calculateEnergyBonus(
       this.energyData.energySource,
@@ -44,7 +59,9 @@ class Block {
         this.timestamp +
         JSON.stringify(this.transactions) +
         JSON.stringify(this.energyData) +
-        this.nonce
+        this.nonce +
+        this.difficulty +
+        (this.validator || '')
       )
       .digest('hex');
   }
@@ -55,6 +72,7 @@ class Block {
    */
   mineBlock(difficulty, minerAddress) {
     const target = Array(difficulty + 1).join('0');
+    this.difficulty = difficulty;
 
     // Start mining
     const startTime = Date.now();
@@ -82,6 +100,46 @@ class Block {
     console.log(`Mining time: ${miningTime}s, Energy used: ${energyUsed.toFixed(4)} kWh`);
   }
 
+  /**
+   * Proof of Stake - Seal the block with the proposer's signature
+   * No hashing loop; the proposer was chosen by stake
+   */
+  signBlock(validatorKey, minerAddress) {
+    const startTime = Date.now();
+
+    this.validator = keyToAddress(validatorKey);
+    this.difficulty = 0;
+    this.hash = this.calculateHash();
+    this.signature = signHash(validatorKey, this.hash);
+
+    const endTime = Date.now();
+    const signingTime = (endTime - startTime) / 1000; // in seconds
+
+    this.miningMetrics = {
+      minerAddress,
+      miningTime: signingTime,
+      energyUsed: this.estimateEnergyConsumption(signingTime),
+      hashRate: 0,
+      timestamp: endTime
+    };
+
+    console.log(`Block signed: ${this.hash}`);
+  }
+
+  /**
+   * Check the proposer's signature over the block hash
+   */
+  hasValidSignature() {
+    return verifySignature(this.hash, this.signature, this.validator);
+  }
+
+  /**
+   * Check the hash satisfies the difficulty the block was mined at
+   */
+  hasValidProofOfWork() {
+    return this.hash.startsWith('0'.repeat(this.difficulty));
+  }
+
   /**
    * Estimate energy consumption for mining
    * Based on typical GPU power consumption (250W average)
@@ -102,6 +160,21 @@ class Block {
     return true;
   }
 
+  /**
+   * Rebuild a block from its JSON form (storage or network)
+   * Transactions are rehydrated so they can be re-validated
+   */
+  static fromJSON(data) {
+    const block = Object.assign(Object.create(Block.prototype), data);
+    block.transactions = (data.transactions || []).map(tx => Transaction.fromJSON(tx));
+    block.energyBonus = calculateEnergyBonus(
+      block.energyData.energySource,
+      block.energyData.efficiencyScore,
+      block.energyData.aiWorkloadType
+    );
+    return block;
+  }
+
   /**
    * Get block summary for display
    */
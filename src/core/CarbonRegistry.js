@@ -0,0 +1,254 @@
+import { TRANSACTION_TYPES } from './Constants.js';
+import { calculateCarbonCreditCost } from '../utils/EnergyUtils.js';
+
+const HOLDER_TYPES = [
+    TRANSACTION_TYPES.CARBON_CREDIT,
+    TRANSACTION_TYPES.CARBON_TRANSFER,
+    TRANSACTION_TYPES.CARBON_RETIREMENT
+];
+
+/**
+ * CarbonRegistry - Serialised carbon credits derived from the chain
+ *
+ * - Projects are registered by an authorised issuer, with an owner address
+ * - Issuances mint a batch of credits (one per tonne CO2e) with a serial
+ *   range unique to the project, e.g. "reforest-1-2025-1-500"
+ * - Holders transfer or retire any part of a batch; the serial range is
+ *   split so every tonne keeps exactly one owner
+ * - The project owner sells its own batches at the network credit price
+ * - Retirement is final and records a beneficiary and reason; only retired
+ *   tonnes count as offset
+ *
+ * Like the stake ledger, the registry is rebuilt by replaying blocks.
+ */
+class CarbonRegistry {
+    constructor() {
+        this.projects = new Map(); // Project id -> { projectId, name, methodology, country, owner, nextSerial }
+        this.batches = new Map(); // Batch id (serial range) -> batch
+        this.totalRetired = 0; // Tonnes CO2e
+    }
+
+    /**
+     * Copy the registry so a block can be checked without touching this one
+     */
+    clone() {
+        const copy = new CarbonRegistry();
+        for (const [projectId, project] of this.projects) {
+            copy.projects.set(projectId, { ...project });
+        }
+        for (const [id, batch] of this.batches) {
+            copy.batches.set(id, { ...batch });
+        }
+        copy.totalRetired = this.totalRetired;
+        return copy;
+    }
+
+    getProjects() {
+        return [...this.projects.values()];
+    }
+
+    getBatch(batchId) {
+        return this.batches.get(batchId) || null;
+    }
+
+    /**
+     * Credit batches an address holds, and those it has retired
+     * @returns {{held: Object[], retired: Object[]}}
+     */
+    getCredits(address) {
+        const batches = [...this.batches.values()].filter(batch => batch.owner === address);
+        return {
+            held: batches.filter(batch => batch.status === 'active'),
+            retired: batches.filter(batch => batch.status === 'retired')
+        };
+    }
+
+    /**
+     * Offsets confirmed by retirements, in kg CO2
+     */
+    getRetiredKg() {
+        return this.totalRetired * 1000;
+    }
+
+    /**
+     * Check if a transaction registers, issues, sells, transfers or retires credits
+     */
+    isCarbonTransaction(tx) {
+        return this.isIssuerTransaction(tx) || HOLDER_TYPES.includes(tx.transactionType);
+    }
+
+    /**
+     * Check if a transaction must come from an authorised issuer
+     */
+    isIssuerTransaction(tx) {
+        return tx.transactionType === TRANSACTION_TYPES.CARBON_PROJECT_REGISTRATION ||
+            tx.transactionType === TRANSACTION_TYPES.CARBON_ISSUANCE;
+    }
+
+    /**
+     * Check a carbon transaction against the registry
+     * @returns {string|null} Reason the transaction is not allowed, or null
+     */
+    validateTransaction(tx) {
+        if (this.isIssuerTransaction(tx) && tx.fromAddress !== null) {
+            return `${tx.transactionType} can only be signed by an authorised issuer`;
+        }
+
+        if (tx.transactionType === TRANSACTION_TYPES.CARBON_PROJECT_REGISTRATION) {
+            const { projectId, name } = tx.metadata;
+            if (!projectId || typeof projectId !== 'string') {
+                return 'Carbon project registration needs a project id';
+            }
+            if (this.projects.has(projectId)) {
+                return `Carbon project ${projectId} is already registered`;
+            }
+            if (!name || typeof name !== 'string') {
+                return `Carbon project ${projectId} needs a name`;
+            }
+            return null;
+        }
+
+        if (tx.transactionType === TRANSACTION_TYPES.CARBON_ISSUANCE) {
+            const { projectId, vintage, quantity } = tx.metadata;
+            const project = this.projects.get(projectId);
+            if (!project) {
+                return `Carbon project ${projectId} is not registered`;
+            }
+            if (tx.toAddress !== project.owner) {
+                return `Credits for ${projectId} are issued to its owner ${project.owner}`;
+            }
+            if (!Number.isInteger(vintage) || vintage < 1990 || vintage > new Date(tx.timestamp).getUTCFullYear()) {
+                return 'Carbon issuance needs a vintage year no later than the issuance';
+            }
+            return Number.isInteger(quantity) && quantity > 0
+                ? null
+                : 'Carbon issuance needs a whole number of tonnes';
+        }
+
+        const { batchId, quantity } = tx.metadata;
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            return `Carbon credit batch ${batchId} does not exist`;
+        }
+        if (batch.status !== 'active') {
+            return `Carbon credit batch ${batchId} has been retired`;
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > batch.quantity) {
+            return `Quantity must be a whole number of tonnes up to the batch's ${batch.quantity}`;
+        }
+
+        switch (tx.transactionType) {
+            case TRANSACTION_TYPES.CARBON_CREDIT: {
+                const cost = calculateCarbonCreditCost(quantity * 1000);
+                if (batch.owner !== this.projects.get(batch.projectId).owner || tx.toAddress !== batch.owner) {
+                    return 'Credits can only be bought from the project that issued them';
+                }
+                if (tx.fromAddress === batch.owner) {
+                    return 'Project owners cannot buy their own credits';
+                }
+                return tx.amount === cost ? null : `Purchase of ${quantity} t must pay ${cost} EAI`;
+            }
+
+            case TRANSACTION_TYPES.CARBON_TRANSFER:
+                if (tx.fromAddress !== batch.owner) {
+                    return `Carbon credit batch ${batchId} is not held by the sender`;
+                }
+                return tx.toAddress === tx.fromAddress ? 'Cannot transfer credits to yourself' : null;
+
+            case TRANSACTION_TYPES.CARBON_RETIREMENT: {
+                const { beneficiary, reason } = tx.metadata;
+                if (tx.fromAddress !== batch.owner || tx.toAddress !== tx.fromAddress) {
+                    return `Carbon credit batch ${batchId} can only be retired by its holder, to itself`;
+                }
+                if (!beneficiary || typeof beneficiary !== 'string' || !reason || typeof reason !== 'string') {
+                    return 'Retirement needs a beneficiary and a reason';
+                }
+                return null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Split the first `quantity` tonnes off a batch into their own serial range
+     * @private
+     */
+    split(batch, quantity) {
+        if (quantity === batch.quantity) {
+            return batch;
+        }
+
+        const part = this.createBatch(batch, batch.serialStart, batch.serialStart + quantity - 1);
+        this.createBatch(batch, batch.serialStart + quantity, batch.serialEnd);
+        this.batches.delete(batch.id);
+        return part;
+    }
+
+    /**
+     * Store a batch covering a serial range
+     * @private
+     */
+    createBatch(fields, serialStart, serialEnd) {
+        const id = `${fields.projectId}-${fields.vintage}-${serialStart}-${serialEnd}`;
+        const batch = { ...fields, id, serialStart, serialEnd, quantity: serialEnd - serialStart + 1 };
+        this.batches.set(id, batch);
+        return batch;
+    }
+
+    /**
+     * Apply a block's carbon registry transactions
+     * @returns {string|null} Reason the block is invalid, or null
+     */
+    applyBlock(block, height) {
+        for (const tx of block.transactions) {
+            if (!this.isCarbonTransaction(tx)) {
+                continue;
+            }
+
+            const reason = this.validateTransaction(tx);
+            if (reason) {
+                return reason;
+            }
+
+            const { metadata } = tx;
+            if (tx.transactionType === TRANSACTION_TYPES.CARBON_PROJECT_REGISTRATION) {
+                this.projects.set(metadata.projectId, {
+                    projectId: metadata.projectId,
+                    name: metadata.name,
+                    methodology: metadata.methodology || null,
+                    country: metadata.country || null,
+                    owner: tx.toAddress,
+                    registeredAt: height,
+                    nextSerial: 1
+                });
+            } else if (tx.transactionType === TRANSACTION_TYPES.CARBON_ISSUANCE) {
+                const project = this.projects.get(metadata.projectId);
+                this.createBatch({
+                    projectId: project.projectId,
+                    vintage: metadata.vintage,
+                    owner: project.owner,
+                    issuedAt: height,
+                    status: 'active',
+                    retirement: null
+                }, project.nextSerial, project.nextSerial + metadata.quantity - 1);
+                project.nextSerial += metadata.quantity;
+            } else {
+                const batch = this.split(this.batches.get(metadata.batchId), metadata.quantity);
+                if (tx.transactionType === TRANSACTION_TYPES.CARBON_RETIREMENT) {
+                    batch.status = 'retired';
+                    batch.retirement = { beneficiary: metadata.beneficiary, reason: metadata.reason, height };
+                    this.totalRetired += batch.quantity;
+                } else {
+                    // A purchase pays the project owner and the credits go to the buyer
+                    batch.owner = tx.transactionType === TRANSACTION_TYPES.CARBON_CREDIT ? tx.fromAddress : tx.toAddress;
+                }
+            }
+        }
+
+        return null;
+    }
+}
+
+export default CarbonRegistry;
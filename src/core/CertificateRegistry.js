@@ -0,0 +1,190 @@
+import { BLOCKCHAIN_CONFIG, TRANSACTION_TYPES } from './Constants.js';
+
+// Tolerance for fractional kWh adding up to a whole certificate
+const KWH_EPSILON = 1e-9;
+
+/**
+ * CertificateRegistry - Renewable Energy Certificates (RECs)
+ *
+ * - One certificate per MWh of renewable energy minted to a provider,
+ *   recording generator, vintage, location and source
+ * - Certificates move between wallets with REC transfer transactions
+ * - A certificate is retired against one compute allocation by the wallet
+ *   that allocated it, and never more certificates than the allocation's
+ *   energy, so a renewable claim cannot be counted twice
+ *
+ * Like the stake ledger, the registry is rebuilt by replaying blocks.
+ */
+class CertificateRegistry {
+    constructor() {
+        this.certificates = new Map(); // Certificate id -> certificate
+        this.carry = new Map(); // "provider:generator" -> renewable kWh not yet certified
+        this.allocations = new Map(); // Compute allocation hash -> { fromAddress, estimatedEnergy, retiredMWh }
+    }
+
+    /**
+     * Copy the registry so a block can be checked without touching this one
+     */
+    clone() {
+        const copy = new CertificateRegistry();
+        for (const [id, certificate] of this.certificates) {
+            copy.certificates.set(id, { ...certificate });
+        }
+        copy.carry = new Map(this.carry);
+        for (const [hash, allocation] of this.allocations) {
+            copy.allocations.set(hash, { ...allocation });
+        }
+        return copy;
+    }
+
+    getCertificate(id) {
+        return this.certificates.get(id) || null;
+    }
+
+    /**
+     * Certificates an address holds, and those it has retired
+     * @returns {{held: Object[], retired: Object[]}}
+     */
+    getCertificates(address) {
+        const held = [];
+        const retired = [];
+
+        for (const certificate of this.certificates.values()) {
+            if (certificate.status === 'active' && certificate.owner === address) {
+                held.push(certificate);
+            } else if (certificate.status === 'retired' && certificate.owner === address) {
+                retired.push(certificate);
+            }
+        }
+
+        return { held, retired };
+    }
+
+    /**
+     * Check if a transaction is a system mint of renewable energy
+     * Source and kWh are read from the signed metadata, not the unhashed copies
+     */
+    isRenewableMint(tx) {
+        return tx.fromAddress === null &&
+            tx.transactionType === TRANSACTION_TYPES.ENERGY_TRADE &&
+            tx.metadata.energySource === 'renewable';
+    }
+
+    /**
+     * Check a REC transfer or retirement against the registry
+     * @returns {string|null} Reason the transaction is not allowed, or null
+     */
+    validateTransaction(tx) {
+        const ids = tx.metadata.certificateIds;
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return 'REC transaction must list the certificates it moves';
+        }
+        if (new Set(ids).size !== ids.length) {
+            return 'REC transaction lists a certificate twice';
+        }
+
+        for (const id of ids) {
+            const certificate = this.certificates.get(id);
+            if (!certificate) {
+                return `Certificate ${id} does not exist`;
+            }
+            if (certificate.owner !== tx.fromAddress) {
+                return `Certificate ${id} is not held by the sender`;
+            }
+            if (certificate.status !== 'active') {
+                return `Certificate ${id} has already been retired`;
+            }
+        }
+
+        if (tx.transactionType === TRANSACTION_TYPES.REC_RETIREMENT) {
+            const hash = tx.metadata.computeAllocation;
+            const allocation = this.allocations.get(hash);
+            if (!allocation) {
+                return `Compute allocation ${hash} is not confirmed on chain`;
+            }
+            if (allocation.fromAddress !== tx.fromAddress) {
+                return 'Certificates can only be retired against the sender\'s own compute allocation';
+            }
+
+            const coverableMWh = Math.ceil(allocation.estimatedEnergy / BLOCKCHAIN_CONFIG.KWH_PER_REC - KWH_EPSILON);
+            if (allocation.retiredMWh + ids.length > coverableMWh) {
+                return `Compute allocation ${hash} only needs ${coverableMWh - allocation.retiredMWh} more certificate(s)`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Issue certificates for every whole MWh a provider's renewable mints add up to
+     * @private
+     */
+    issue(tx, hash, height) {
+        const generatorId = tx.metadata.generatorId || tx.toAddress;
+        const key = `${tx.toAddress}:${generatorId}`;
+        let carry = (this.carry.get(key) || 0) + (tx.metadata.energyAmount || 0);
+        let serial = 0;
+
+        while (carry + KWH_EPSILON >= BLOCKCHAIN_CONFIG.KWH_PER_REC) {
+            const id = `REC-${hash.substring(0, 16)}-${serial++}`;
+            this.certificates.set(id, {
+                id,
+                mwh: 1,
+                generatorId,
+                vintage: new Date(tx.timestamp).toISOString().substring(0, 7),
+                location: tx.metadata.location || 'unspecified',
+                source: tx.metadata.energySource,
+                owner: tx.toAddress,
+                issuance: hash,
+                issuedAt: height,
+                status: 'active',
+                retirement: null
+            });
+            carry -= BLOCKCHAIN_CONFIG.KWH_PER_REC;
+        }
+
+        this.carry.set(key, Math.max(0, carry));
+    }
+
+    /**
+     * Apply a block's renewable mints, compute allocations and REC transactions
+     * @returns {string|null} Reason the block is invalid, or null
+     */
+    applyBlock(block, height) {
+        for (const tx of block.transactions) {
+            if (this.isRenewableMint(tx)) {
+                this.issue(tx, tx.calculateHash(), height);
+            } else if (tx.transactionType === TRANSACTION_TYPES.COMPUTE_ALLOCATION && tx.fromAddress) {
+                this.allocations.set(tx.calculateHash(), {
+                    fromAddress: tx.fromAddress,
+                    estimatedEnergy: tx.metadata.estimatedEnergy || 0,
+                    retiredMWh: 0
+                });
+            } else if (tx.transactionType === TRANSACTION_TYPES.REC_TRANSFER ||
+                tx.transactionType === TRANSACTION_TYPES.REC_RETIREMENT) {
+                const reason = this.validateTransaction(tx);
+                if (reason) {
+                    return reason;
+                }
+
+                for (const id of tx.metadata.certificateIds) {
+                    const certificate = this.certificates.get(id);
+                    if (tx.transactionType === TRANSACTION_TYPES.REC_TRANSFER) {
+                        certificate.owner = tx.toAddress;
+                    } else {
+                        certificate.status = 'retired';
+                        certificate.retirement = { computeAllocation: tx.metadata.computeAllocation, height };
+                    }
+                }
+
+                if (tx.transactionType === TRANSACTION_TYPES.REC_RETIREMENT) {
+                    this.allocations.get(tx.metadata.computeAllocation).retiredMWh += tx.metadata.certificateIds.length;
+                }
+            }
+        }
+
+        return null;
+    }
+}
+
+export default CertificateRegistry;
@@ -0,0 +1,460 @@
+import { BLOCKCHAIN_CONFIG, TRANSACTION_TYPES } from './Constants.js';
+import { getComputeWorkloads, verifyComputeProof } from './ComputeProof.js';
+
+const MARKET_TYPES = [
+    TRANSACTION_TYPES.COMPUTE_JOB,
+    TRANSACTION_TYPES.COMPUTE_BID,
+    TRANSACTION_TYPES.COMPUTE_ESCROW,
+    TRANSACTION_TYPES.COMPUTE_RESULT,
+    TRANSACTION_TYPES.COMPUTE_RELEASE,
+    TRANSACTION_TYPES.COMPUTE_REFUND,
+    TRANSACTION_TYPES.COMPUTE_DISPUTE,
+    TRANSACTION_TYPES.DISPUTE_EVIDENCE,
+    TRANSACTION_TYPES.DISPUTE_VOTE
+];
+
+/**
+ * ComputeMarket - Compute jobs, bids and escrow derived from the chain
+ *
+ * Job lifecycle, one transaction per step:
+ * - open: the buyer posts a job (budget, GPU hours, workload type)
+ * - providers bid; the buyer accepts one bid, locking its price in escrow
+ * - escrowed: the provider submits a result with a compute proof seeded by
+ *   the job id before the delivery deadline
+ * - delivered: the buyer releases escrow to the provider (or the provider
+ *   claims it once the review period passes)
+ * - an open job can be cancelled; an escrowed job past its deadline is refunded
+ * - disputed: within the review period the buyer may dispute a delivery;
+ *   both parties post evidence and arbiters vote the provider's share of
+ *   the escrow. A majority settles it at the median share voted; without a
+ *   majority by the dispute deadline it settles at the median of the votes
+ *   cast, or splits the escrow evenly if nobody voted
+ *
+ * Escrowed tokens leave the buyer when the bid is accepted and are credited
+ * to whoever is paid out when the job settles. Like the stake ledger, the
+ * market is rebuilt by replaying blocks.
+ */
+class ComputeMarket {
+    /**
+     * @param {Object} options
+     * @param {number} options.reviewPeriod - Blocks after delivery the buyer may dispute
+     * @param {string[]} options.arbiters - Addresses that vote on disputes
+     */
+    constructor(options = {}) {
+        this.reviewPeriod = options.reviewPeriod || BLOCKCHAIN_CONFIG.COMPUTE_JOB_REVIEW_PERIOD;
+        this.arbiters = options.arbiters || [];
+
+        this.jobs = new Map(); // Job id (posting transaction hash) -> job
+        this.payouts = new Map(); // Address -> escrow released or refunded to it
+    }
+
+    /**
+     * Copy the market so a block can be checked without touching this one
+     */
+    clone() {
+        const copy = new ComputeMarket({ reviewPeriod: this.reviewPeriod, arbiters: this.arbiters });
+        for (const [id, job] of this.jobs) {
+            copy.jobs.set(id, {
+                ...job,
+                bids: job.bids.map(bid => ({ ...bid })),
+                result: job.result && { ...job.result },
+                dispute: job.dispute && {
+                    ...job.dispute,
+                    evidence: [...job.dispute.evidence],
+                    votes: [...job.dispute.votes]
+                }
+            });
+        }
+        copy.payouts = new Map(this.payouts);
+        return copy;
+    }
+
+    /**
+     * Check if a transaction is a step in a compute job's lifecycle
+     */
+    isMarketTransaction(tx) {
+        return MARKET_TYPES.includes(tx.transactionType);
+    }
+
+    getJob(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * Jobs filtered by status and/or an address that posted, bid on or delivered them
+     */
+    getJobs({ status, address } = {}) {
+        return [...this.jobs.values()].filter(job =>
+            (!status || job.status === status) &&
+            (!address || job.buyer === address || job.provider === address ||
+                job.bids.some(bid => bid.provider === address))
+        );
+    }
+
+    /**
+     * Disputed jobs an address was the buyer, provider or an arbiter of
+     */
+    getDisputes(address) {
+        return [...this.jobs.values()].filter(job =>
+            job.dispute &&
+            (job.buyer === address || job.provider === address ||
+                job.dispute.votes.some(vote => vote.arbiter === address))
+        );
+    }
+
+    /**
+     * Votes needed to settle a dispute: a majority of arbiters
+     */
+    getQuorum() {
+        return Math.floor(this.arbiters.length / 2) + 1;
+    }
+
+    /**
+     * Escrow released or refunded to an address
+     */
+    getPayouts(address) {
+        return this.payouts.get(address) || 0;
+    }
+
+    /**
+     * Check a job lifecycle transaction against the market at a height
+     * @returns {string|null} Reason the transaction is not allowed, or null
+     */
+    validateTransaction(tx, height) {
+        if (tx.transactionType !== TRANSACTION_TYPES.COMPUTE_ESCROW && tx.amount !== 0) {
+            return `${tx.transactionType} transactions carry no amount`;
+        }
+
+        if (tx.transactionType === TRANSACTION_TYPES.COMPUTE_JOB) {
+            return this.validateJob(tx);
+        }
+
+        const job = this.jobs.get(tx.metadata.jobId);
+        if (!job) {
+            return `Compute job ${tx.metadata.jobId} does not exist`;
+        }
+
+        switch (tx.transactionType) {
+            case TRANSACTION_TYPES.COMPUTE_BID: {
+                const { price } = tx.metadata;
+                if (job.status !== 'open') {
+                    return `Compute job ${job.id} is not open for bids`;
+                }
+                if (tx.fromAddress === job.buyer) {
+                    return 'Buyers cannot bid on their own job';
+                }
+                if (tx.toAddress !== job.buyer) {
+                    return 'Bids must be addressed to the job\'s buyer';
+                }
+                if (typeof price !== 'number' || !(price > 0) || price > job.budget) {
+                    return `Bid price must be above 0 and within the budget of ${job.budget}`;
+                }
+                if (job.bids.some(bid => bid.provider === tx.fromAddress)) {
+                    return `Provider has already bid on compute job ${job.id}`;
+                }
+                return null;
+            }
+
+            case TRANSACTION_TYPES.COMPUTE_ESCROW: {
+                const bid = job.bids.find(entry => entry.id === tx.metadata.bidId);
+                if (job.status !== 'open') {
+                    return `Compute job ${job.id} has already been awarded`;
+                }
+                if (tx.fromAddress !== job.buyer) {
+                    return 'Only the buyer can accept a bid';
+                }
+                if (!bid) {
+                    return `Bid ${tx.metadata.bidId} is not on compute job ${job.id}`;
+                }
+                if (tx.toAddress !== bid.provider || tx.amount !== bid.price) {
+                    return `Escrow must lock the bid price of ${bid.price} for its provider`;
+                }
+                return null;
+            }
+
+            case TRANSACTION_TYPES.COMPUTE_RESULT: {
+                if (job.status !== 'escrowed') {
+                    return `Compute job ${job.id} is not awaiting a result`;
+                }
+                if (tx.fromAddress !== job.provider || tx.toAddress !== job.buyer) {
+                    return 'Only the accepted provider can deliver the result to the buyer';
+                }
+                if (height > job.deadline) {
+                    return `Compute job ${job.id} passed its delivery deadline at block #${job.deadline}`;
+                }
+                if (!tx.metadata.resultHash || typeof tx.metadata.resultHash !== 'string') {
+                    return 'Compute result needs a result hash';
+                }
+
+                const proof = tx.metadata.computeProof;
+                if (proof && proof.workload !== job.proofWorkload) {
+                    return `Compute job ${job.id} needs a ${job.proofWorkload} proof`;
+                }
+                if (proof && proof.seed !== job.id) {
+                    return 'Compute proof was not seeded with the job id';
+                }
+                return verifyComputeProof(proof, job.id);
+            }
+
+            case TRANSACTION_TYPES.COMPUTE_RELEASE: {
+                if (job.status !== 'delivered') {
+                    return `Compute job ${job.id} has no delivered result to pay for`;
+                }
+                if (tx.toAddress !== job.provider) {
+                    return 'Escrow can only be released to the job\'s provider';
+                }
+                if (tx.fromAddress === job.provider) {
+                    const claimableAt = job.result.height + this.reviewPeriod;
+                    return height < claimableAt
+                        ? `Provider can claim escrow from block #${claimableAt}`
+                        : null;
+                }
+                return tx.fromAddress === job.buyer ? null : 'Only the buyer or provider can release escrow';
+            }
+
+            case TRANSACTION_TYPES.COMPUTE_REFUND: {
+                if (tx.fromAddress !== job.buyer || tx.toAddress !== job.buyer) {
+                    return 'Only the buyer can cancel or refund a job, to themselves';
+                }
+                if (job.status === 'open') {
+                    return null;
+                }
+                if (job.status !== 'escrowed') {
+                    return `Compute job ${job.id} is already ${job.status}`;
+                }
+                return height > job.deadline
+                    ? null
+                    : `Compute job ${job.id} can be refunded after block #${job.deadline}`;
+            }
+
+            case TRANSACTION_TYPES.COMPUTE_DISPUTE: {
+                if (job.status !== 'delivered') {
+                    return `Compute job ${job.id} has no delivered result to dispute`;
+                }
+                if (tx.fromAddress !== job.buyer || tx.toAddress !== job.provider) {
+                    return 'Only the buyer can dispute a delivery, against its provider';
+                }
+                if (height >= job.result.height + this.reviewPeriod) {
+                    return `Dispute window for compute job ${job.id} closed at block #${job.result.height + this.reviewPeriod}`;
+                }
+                if (this.arbiters.length === 0) {
+                    return 'No arbiters are configured to hear disputes';
+                }
+                return null;
+            }
+
+            case TRANSACTION_TYPES.DISPUTE_EVIDENCE: {
+                if (job.status !== 'disputed' || height >= job.dispute.deadline) {
+                    return `Compute job ${job.id} is not in dispute`;
+                }
+                if (tx.fromAddress !== job.buyer && tx.fromAddress !== job.provider) {
+                    return 'Only the buyer or provider can post dispute evidence';
+                }
+                if (!tx.metadata.evidence || typeof tx.metadata.evidence !== 'string') {
+                    return 'Dispute evidence must be a non-empty string (e.g. a log hash or URL)';
+                }
+                return null;
+            }
+
+            case TRANSACTION_TYPES.DISPUTE_VOTE: {
+                const { providerShare } = tx.metadata;
+                if (job.status !== 'disputed' || height >= job.dispute.deadline) {
+                    return `Compute job ${job.id} is not in dispute`;
+                }
+                if (!this.arbiters.includes(tx.fromAddress) || tx.toAddress !== tx.fromAddress) {
+                    return 'Dispute votes must come from an arbiter, sent to itself';
+                }
+                if (job.dispute.votes.some(vote => vote.arbiter === tx.fromAddress)) {
+                    return `Arbiter has already voted on compute job ${job.id}`;
+                }
+                if (typeof providerShare !== 'number' || !(providerShare >= 0 && providerShare <= 1)) {
+                    return 'Dispute vote needs a provider share between 0 and 1';
+                }
+                return null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Check a job posting
+     * @private
+     */
+    validateJob(tx) {
+        const { computeUnits, budget, deliveryBlocks, disputeBlocks, proofWorkload } = tx.metadata;
+
+        if (tx.toAddress !== tx.fromAddress) {
+            return 'Compute jobs must be posted to the buyer\'s own address';
+        }
+        if (typeof computeUnits !== 'number' || !(computeUnits > 0)) {
+            return 'Compute job needs a positive number of GPU hours';
+        }
+        if (typeof budget !== 'number' || !(budget > 0)) {
+            return 'Compute job needs a positive budget';
+        }
+        if (deliveryBlocks !== undefined && (!Number.isInteger(deliveryBlocks) || deliveryBlocks <= 0)) {
+            return 'Compute job delivery period must be a positive number of blocks';
+        }
+        if (disputeBlocks !== undefined && (!Number.isInteger(disputeBlocks) || disputeBlocks <= 0)) {
+            return 'Compute job dispute period must be a positive number of blocks';
+        }
+        if (proofWorkload !== undefined && !getComputeWorkloads().includes(proofWorkload)) {
+            return `Unknown compute workload: ${proofWorkload}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Credit settled escrow to an address
+     * @private
+     */
+    pay(address, amount) {
+        this.payouts.set(address, this.getPayouts(address) + amount);
+    }
+
+    /**
+     * Split a disputed escrow at the median provider share voted (an even
+     * split if the deadline passed without any votes)
+     * @private
+     */
+    resolve(job, height, timedOut = false) {
+        const shares = job.dispute.votes.map(vote => vote.providerShare).sort((a, b) => a - b);
+        const middle = Math.floor(shares.length / 2);
+        const providerShare = shares.length === 0
+            ? 0.5
+            : shares.length % 2 ? shares[middle] : (shares[middle - 1] + shares[middle]) / 2;
+        const providerAmount = job.escrow * providerShare;
+
+        job.status = 'resolved';
+        job.settledAt = height;
+        job.dispute.outcome = {
+            providerShare,
+            providerAmount,
+            buyerAmount: job.escrow - providerAmount,
+            timedOut,
+            height
+        };
+        this.pay(job.provider, providerAmount);
+        this.pay(job.buyer, job.escrow - providerAmount);
+    }
+
+    /**
+     * Settle every dispute whose deadline has been reached without a quorum
+     * @private
+     */
+    advance(height) {
+        for (const job of this.jobs.values()) {
+            if (job.status === 'disputed' && job.dispute.deadline <= height) {
+                this.resolve(job, height, true);
+            }
+        }
+    }
+
+    /**
+     * Apply a block's job lifecycle transactions, settling disputes that
+     * timed out at its height first
+     * @returns {string|null} Reason the block is invalid, or null
+     */
+    applyBlock(block, height) {
+        this.advance(height);
+
+        for (const tx of block.transactions) {
+            if (!this.isMarketTransaction(tx)) {
+                continue;
+            }
+
+            const reason = this.validateTransaction(tx, height);
+            if (reason) {
+                return reason;
+            }
+
+            const hash = tx.calculateHash();
+            const job = this.jobs.get(tx.metadata.jobId);
+
+            switch (tx.transactionType) {
+                case TRANSACTION_TYPES.COMPUTE_JOB:
+                    this.jobs.set(hash, {
+                        id: hash,
+                        buyer: tx.fromAddress,
+                        computeUnits: tx.metadata.computeUnits,
+                        aiWorkloadType: tx.metadata.aiWorkloadType || 'general',
+                        budget: tx.metadata.budget,
+                        deliveryBlocks: tx.metadata.deliveryBlocks || BLOCKCHAIN_CONFIG.COMPUTE_JOB_DELIVERY_PERIOD,
+                        disputeBlocks: tx.metadata.disputeBlocks || BLOCKCHAIN_CONFIG.COMPUTE_DISPUTE_PERIOD,
+                        proofWorkload: tx.metadata.proofWorkload || BLOCKCHAIN_CONFIG.COMPUTE_PROOF_WORKLOAD,
+                        postedAt: height,
+                        status: 'open',
+                        bids: [],
+                        provider: null,
+                        escrow: 0,
+                        deadline: null,
+                        result: null,
+                        settledAt: null
+                    });
+                    break;
+
+                case TRANSACTION_TYPES.COMPUTE_BID:
+                    job.bids.push({ id: hash, provider: tx.fromAddress, price: tx.metadata.price, height });
+                    break;
+
+                case TRANSACTION_TYPES.COMPUTE_ESCROW:
+                    job.status = 'escrowed';
+                    job.provider = tx.toAddress;
+                    job.escrow = tx.amount;
+                    job.deadline = height + job.deliveryBlocks;
+                    break;
+
+                case TRANSACTION_TYPES.COMPUTE_RESULT:
+                    job.status = 'delivered';
+                    job.result = {
+                        resultHash: tx.metadata.resultHash,
+                        computeProof: tx.metadata.computeProof,
+                        height
+                    };
+                    break;
+
+                case TRANSACTION_TYPES.COMPUTE_RELEASE:
+                    job.status = 'released';
+                    job.settledAt = height;
+                    this.pay(job.provider, job.escrow);
+                    break;
+
+                case TRANSACTION_TYPES.COMPUTE_REFUND:
+                    job.status = job.status === 'open' ? 'cancelled' : 'refunded';
+                    job.settledAt = height;
+                    this.pay(job.buyer, job.escrow);
+                    break;
+
+                case TRANSACTION_TYPES.COMPUTE_DISPUTE:
+                    job.status = 'disputed';
+                    job.dispute = {
+                        reason: tx.metadata.reason || '',
+                        openedAt: height,
+                        deadline: height + job.disputeBlocks,
+                        evidence: [],
+                        votes: [],
+                        outcome: null
+                    };
+                    break;
+
+                case TRANSACTION_TYPES.DISPUTE_EVIDENCE:
+                    job.dispute.evidence.push({ from: tx.fromAddress, evidence: tx.metadata.evidence, height });
+                    break;
+
+                case TRANSACTION_TYPES.DISPUTE_VOTE:
+                    job.dispute.votes.push({ arbiter: tx.fromAddress, providerShare: tx.metadata.providerShare, height });
+                    if (job.dispute.votes.length >= this.getQuorum()) {
+                        this.resolve(job, height);
+                    }
+                    break;
+            }
+        }
+
+        return null;
+    }
+}
+
+export default ComputeMarket;
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { BLOCKCHAIN_CONFIG } from './Constants.js';
+
+/**
+ * Proof of Compute utilities
+ *
+ * A compute proof is the output hash of a deterministic reference workload
+ * seeded with the previous block hash. Any node can rerun the workload and
+ * compare hashes, and a proof cannot be reused on another block.
+ *
+ * Workloads are pluggable: register a name with a `run(seed)` function that
+ * returns a string output. Outputs must not depend on the platform, so the
+ * built-in workload sticks to 32-bit integer arithmetic.
+ */
+
+const workloads = new Map(); // Workload name -> { description, run(seed) }
+
+/**
+ * Seeded 32-bit PRNG (mulberry32)
+ * @private
+ */
+function createRandom(seed) {
+    let state = parseInt(crypto.createHash('sha256').update(seed).digest('hex').substring(0, 8), 16);
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    };
+}
+
+/**
+ * Register a reference workload
+ * @param {string} name - Identifier stored in each proof (version it when the workload changes)
+ * @param {{description: string, run: function(string): string}} workload
+ */
+export function registerComputeWorkload(name, workload) {
+    if (typeof workload.run !== 'function') {
+        throw new Error(`Compute workload ${name} needs a run(seed) function`);
+    }
+
+    workloads.set(name, workload);
+}
+
+/**
+ * Remove a registered workload
+ * @returns {boolean} Whether the workload was registered
+ */
+export function unregisterComputeWorkload(name) {
+    return workloads.delete(name);
+}
+
+/**
+ * List registered workload names
+ */
+export function getComputeWorkloads() {
+    return [...workloads.keys()];
+}
+
+/**
+ * Run a workload and build its proof
+ * @param {string} seed - Previous block hash
+ * @returns {{workload: string, seed: string, outputHash: string}}
+ */
+export function generateComputeProof(seed, workloadName = BLOCKCHAIN_CONFIG.COMPUTE_PROOF_WORKLOAD) {
+    const workload = workloads.get(workloadName);
+    if (!workload) {
+        throw new Error(`Unknown compute workload: ${workloadName}`);
+    }
+
+    const output = workload.run(seed);
+    return {
+        workload: workloadName,
+        seed,
+        outputHash: crypto.createHash('sha256').update(output).digest('hex')
+    };
+}
+
+/**
+ * Rerun a proof's workload and compare output hashes
+ * @param {string} seed - The seed the proof must be bound to (previous block hash)
+ * @returns {string|null} Reason the proof does not verify, or null
+ */
+export function verifyComputeProof(proof, seed) {
+    if (!proof || typeof proof !== 'object') {
+        return 'Block has no verifiable compute proof';
+    }
+
+    if (!workloads.has(proof.workload)) {
+        return `Compute proof uses unknown workload ${proof.workload}`;
+    }
+
+    if (proof.seed !== seed) {
+        return 'Compute proof was not seeded with the previous block hash';
+    }
+
+    if (generateComputeProof(seed, proof.workload).outputHash !== proof.outputHash) {
+        return 'Compute proof output does not match the reference workload';
+    }
+
+    return null;
+}
+
+// Reference workload: seeded integer matrix multiply (a dense layer without the float noise)
+registerComputeWorkload('matmul-v1', {
+    description: 'Seeded uint32 matrix multiply',
+    run(seed) {
+        const size = BLOCKCHAIN_CONFIG.COMPUTE_PROOF_MATRIX_SIZE;
+        const random = createRandom(seed);
+        const a = Array.from({ length: size * size }, random);
+        const b = Array.from({ length: size * size }, random);
+        const result = new Array(size * size);
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                let sum = 0;
+                for (let k = 0; k < size; k++) {
+                    sum = (sum + Math.imul(a[row * size + k], b[k * size + col])) >>> 0;
+                }
+                result[row * size + col] = sum;
+            }
+        }
+
+        return result.join(',');
+    }
+});
@@ -30,20 +30,71 @@ export const BLOCKCHAIN_CONFIG = {
     // Compute Estimation
     KWH_PER_GPU_HOUR: 0.3,
     AVG_GPU_POWER_WATTS: 250,
-    CO2_PER_KWH: 0.5, // kg
+    
+    // Carbon Intensity (gCO2/kWh); grid ('mixed') energy uses the regional hourly table
+    SOURCE_CARBON_INTENSITY: { renewable: 30, nuclear: 12, fossil: 820 }, // Lifecycle medians
     
     // Carbon Credits
     CARBON_CREDIT_PRICE_PER_KG: 0.5,
     
+    // Renewable Energy Certificates
+    KWH_PER_REC: 1000, // One certificate per MWh
+    
     // Transaction Pool
     MAX_PENDING_TRANSACTIONS: 1000,
-    TRANSACTION_FEE_PERCENTAGE: 0.001, // 0.1%
+    MAX_BLOCK_TRANSACTIONS: 1000,
+    TRANSACTION_FEE_PERCENTAGE: 0.001, // 0.1% minimum fee
+    MEMPOOL_MAX_PER_SENDER: 64,
+    MEMPOOL_TRANSACTION_TTL: 3 * 60 * 60 * 1000, // 3 hours in milliseconds
+    MEMPOOL_REPLACEMENT_FEE_BUMP: 0.1, // Replacements must pay 10% more
+    MEMPOOL_FEE_BUCKETS: [0, 0.01, 0.1, 1, 10], // Lower bounds for the fee histogram
+    
+    // Time-locked Transactions
+    LOCKTIME_THRESHOLD: 500000000, // notBefore below this is a block height, otherwise a timestamp (ms)
+    MAX_SCHEDULED_TRANSACTIONS: 1000, // Time-locked transactions waiting for their notBefore
+    MAX_SCHEDULE_AHEAD_BLOCKS: 259200, // How far past the current height notBefore may be (~30 days)
+    MAX_SCHEDULE_AHEAD_TIME: 30 * 24 * 60 * 60 * 1000, // How far past now a notBefore timestamp may be
+    MAX_BLOCK_TIME_DRIFT: 5 * 60 * 1000, // How far ahead of this node's clock a block timestamp may be
     
     // Cache Configuration
     CACHE_TTL: 5000, // 5 seconds
     ENABLE_BALANCE_CACHE: true,
     ENABLE_STATS_CACHE: true,
     
+    // Peer-to-Peer Network
+    P2P_RECONNECT_INTERVAL: 5000, // milliseconds
+    P2P_MAX_BLOCKS_PER_MESSAGE: 500,
+    
+    // Proof of Compute (changing these changes every proof; bump the workload name)
+    COMPUTE_PROOF_WORKLOAD: 'matmul-v1',
+    COMPUTE_PROOF_MATRIX_SIZE: 32,
+    
+    // Storage
+    SNAPSHOT_INTERVAL: 10, // blocks between state snapshots
+    
+    // Proof of Stake
+    MIN_STAKE: 100, // Smallest stake transaction
+    STAKE_BONDING_PERIOD: 10, // blocks before a stake counts, or unstaked funds return
+    SLASH_FRACTION: 0.5, // Share of active stake burned for double signing (genesis may override)
+    VALIDATOR_JAIL_PERIOD: 100, // blocks a slashed validator may not propose
+    
+    // Compute Job Marketplace
+    COMPUTE_JOB_DELIVERY_PERIOD: 100, // blocks after escrow for the provider to deliver
+    COMPUTE_JOB_REVIEW_PERIOD: 20, // blocks after delivery the buyer may dispute before the provider may release escrow
+    COMPUTE_DISPUTE_PERIOD: 50, // blocks arbiters have to reach a quorum before a dispute settles by default
+    
+    // Provider Reputation
+    REPUTATION_HALF_LIFE: 1000, // blocks for an event's weight to halve
+    REPUTATION_WINDOW: 100, // blocks per period when measuring regularity
+    REPUTATION_MATURE_AGE: 1000, // blocks of history for a full account-age score
+    
+    // Addresses (prefix + Base58 of the public key hash and a checksum)
+    ADDRESS_PREFIX: 'EAI',
+    
+    // HD Wallets (BIP-44 m/purpose'/coin'/account'/change; SLIP-44 coin type 1 until one is registered)
+    HD_DERIVATION_PATH: "m/44'/1'/0'/0", // Account index is appended as the last level
+    MNEMONIC_STRENGTH: 256, // bits of entropy (24 words)
+    
     // Genesis Block
     GENESIS_ENERGY_SOURCE: 'renewable',
     GENESIS_EFFICIENCY_SCORE: 100,
@@ -55,6 +106,42 @@ export const TRANSACTION_TYPES = {
     COMPUTE_ALLOCATION: 'compute_allocation',
     CARBON_CREDIT: 'carbon_credit',
     MINING_REWARD: 'mining_reward',
+    GENESIS_ALLOCATION: 'genesis_allocation',
+    STAKE: 'stake',
+    UNSTAKE: 'unstake',
+    DOUBLE_SIGN_EVIDENCE: 'double_sign_evidence',
+    METER_REGISTRATION: 'meter_registration',
+    REC_TRANSFER: 'rec_transfer',
+    REC_RETIREMENT: 'rec_retirement',
+    COMPUTE_JOB: 'compute_job',
+    COMPUTE_BID: 'compute_bid',
+    COMPUTE_ESCROW: 'compute_escrow',
+    COMPUTE_RESULT: 'compute_result',
+    COMPUTE_RELEASE: 'compute_release',
+    COMPUTE_REFUND: 'compute_refund',
+    COMPUTE_DISPUTE: 'compute_dispute',
+    DISPUTE_EVIDENCE: 'dispute_evidence',
+    DISPUTE_VOTE: 'dispute_vote',
+    CARBON_PROJECT_REGISTRATION: 'carbon_project_registration',
+    CARBON_ISSUANCE: 'carbon_issuance',
+    CARBON_TRANSFER: 'carbon_transfer',
+    CARBON_RETIREMENT: 'carbon_retirement',
+    MULTISIG_CREATE: 'multisig_create',
+    STREAM_OPEN: 'stream_open',
+    STREAM_CANCEL: 'stream_cancel',
+};
+
+export const CONSENSUS_MODES = {
+    POW: 'pow', // SHA-256 proof of work (Block.mineBlock)
+    POS: 'pos', // Stake-weighted proposer signs the block
+};
+
+export const P2P_MESSAGE_TYPES = {
+    STATUS: 'status',
+    GET_BLOCKS: 'get_blocks',
+    BLOCKS: 'blocks',
+    NEW_BLOCK: 'new_block',
+    NEW_TRANSACTION: 'new_transaction',
 };
 
 export const ENERGY_SOURCES = {
@@ -80,4 +167,5 @@ export const VALIDATION_LIMITS = {
     MAX_COMPUTE_UNITS: 100000,
     MIN_CARBON_AMOUNT: 0.001,
     MAX_CARBON_AMOUNT: 1000000,
+    MAX_MULTISIG_MEMBERS: 15,
 };
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { BLOCKCHAIN_CONFIG, CONSENSUS_MODES } from './Constants.js';
+import { validateAddress, validateAmount, ValidationError } from '../utils/Validation.js';
+
+/**
+ * Genesis specification utilities
+ * Every node on a network must load the same spec to agree on the genesis hash
+ */
+
+export const DEFAULT_GENESIS_FILE = new URL('../config/genesis.json', import.meta.url);
+
+/**
+ * Validate a genesis specification
+ * @throws {ValidationError} if a field is missing or out of range
+ */
+export function validateGenesisSpec(spec) {
+    if (!spec || typeof spec !== 'object') {
+        throw new ValidationError('Genesis spec must be an object', 'genesis');
+    }
+
+    if (!spec.networkId || typeof spec.networkId !== 'string') {
+        throw new ValidationError('Genesis networkId must be a non-empty string', 'networkId');
+    }
+
+    if (!Number.isInteger(spec.timestamp) || spec.timestamp < 0) {
+        throw new ValidationError('Genesis timestamp must be a fixed integer (ms since epoch)', 'timestamp');
+    }
+
+    if (
+        !Number.isInteger(spec.difficulty) ||
+        spec.difficulty < BLOCKCHAIN_CONFIG.MIN_DIFFICULTY ||
+        spec.difficulty > BLOCKCHAIN_CONFIG.MAX_DIFFICULTY
+    ) {
+        throw new ValidationError(
+            `Genesis difficulty must be between ${BLOCKCHAIN_CONFIG.MIN_DIFFICULTY} and ${BLOCKCHAIN_CONFIG.MAX_DIFFICULTY}`,
+            'difficulty'
+        );
+    }
+
+    if (!Array.isArray(spec.allocations)) {
+        throw new ValidationError('Genesis allocations must be an array', 'allocations');
+    }
+
+    const names = new Set();
+    for (const allocation of spec.allocations) {
+        if (!allocation.name || typeof allocation.name !== 'string') {
+            throw new ValidationError('Each genesis allocation needs a name', 'allocations');
+        }
+        if (names.has(allocation.name)) {
+            throw new ValidationError(`Duplicate genesis allocation name: ${allocation.name}`, 'allocations');
+        }
+        names.add(allocation.name);
+
+        validateAddress(allocation.address, `allocations.${allocation.name}.address`);
+        validateAmount(allocation.amount, `allocations.${allocation.name}.amount`);
+    }
+
+    // Issuer/oracle keys authorised to sign system-issued transactions
+    if (spec.issuers !== undefined) {
+        if (!Array.isArray(spec.issuers)) {
+            throw new ValidationError('Genesis issuers must be an array', 'issuers');
+        }
+
+        for (const issuer of spec.issuers) {
+            if (!issuer.name || typeof issuer.name !== 'string') {
+                throw new ValidationError('Each genesis issuer needs a name', 'issuers');
+            }
+            validateAddress(issuer.address, `issuers.${issuer.name}.address`);
+        }
+    }
+
+    // Arbiters who vote on compute job disputes (a majority settles each one)
+    if (spec.arbiters !== undefined) {
+        if (!Array.isArray(spec.arbiters)) {
+            throw new ValidationError('Genesis arbiters must be an array', 'arbiters');
+        }
+
+        for (const arbiter of spec.arbiters) {
+            if (!arbiter.name || typeof arbiter.name !== 'string') {
+                throw new ValidationError('Each genesis arbiter needs a name', 'arbiters');
+            }
+            validateAddress(arbiter.address, `arbiters.${arbiter.name}.address`);
+        }
+    }
+
+    // Consensus mode and the validators bonded from the start (proof of stake)
+    const consensus = spec.consensus || CONSENSUS_MODES.POW;
+    if (!Object.values(CONSENSUS_MODES).includes(consensus)) {
+        throw new ValidationError(
+            `Genesis consensus must be one of: ${Object.values(CONSENSUS_MODES).join(', ')}`,
+            'consensus'
+        );
+    }
+
+    const validators = spec.validators || [];
+    if (!Array.isArray(validators)) {
+        throw new ValidationError('Genesis validators must be an array', 'validators');
+    }
+
+    for (const validator of validators) {
+        if (!validator.name || typeof validator.name !== 'string') {
+            throw new ValidationError('Each genesis validator needs a name', 'validators');
+        }
+        validateAddress(validator.address, `validators.${validator.name}.address`);
+        validateAmount(validator.stake, `validators.${validator.name}.stake`);
+    }
+
+    if (spec.slashFraction !== undefined &&
+        (typeof spec.slashFraction !== 'number' || spec.slashFraction <= 0 || spec.slashFraction > 1)) {
+        throw new ValidationError('Genesis slashFraction must be greater than 0 and at most 1', 'slashFraction');
+    }
+
+    if (consensus === CONSENSUS_MODES.POS && validators.length === 0) {
+        throw new ValidationError('A proof-of-stake genesis needs at least one validator', 'validators');
+    }
+
+    return true;
+}
+
+/**
+ * Hash every rule a genesis spec sets, so networks that differ in any of
+ * them (issuers, consensus, slashing, ...) also differ in their genesis hash
+ * Optional fields hash as their defaults; object key order does not matter
+ */
+export function hashGenesisSpec(spec) {
+    const named = (entries = [], ...fields) => entries.map(entry => [entry.name, ...fields.map(field => entry[field])]);
+
+    return crypto.createHash('sha256').update(JSON.stringify([
+        spec.networkId,
+        spec.timestamp,
+        spec.difficulty,
+        spec.consensus || CONSENSUS_MODES.POW,
+        spec.slashFraction ?? null,
+        named(spec.allocations, 'address', 'amount'),
+        named(spec.issuers, 'address'),
+        named(spec.arbiters, 'address'),
+        named(spec.validators, 'address', 'stake')
+    ])).digest('hex');
+}
+
+/**
+ * Load and validate a genesis spec from a JSON file
+ * @param {string|URL} filePath - Defaults to src/config/genesis.json
+ */
+export function loadGenesisSpec(filePath = DEFAULT_GENESIS_FILE) {
+    let spec;
+    try {
+        spec = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ValidationError(`Cannot read genesis file ${filePath}: ${error.message}`, 'genesis');
+    }
+
+    validateGenesisSpec(spec);
+    return spec;
+}
@@ -0,0 +1,318 @@
+import { BLOCKCHAIN_CONFIG } from './Constants.js';
+
+/**
+ * Mempool - Pending transaction pool for the EnergyAI blockchain
+ *
+ * - Priority ordering by fee, keeping each sender's nonces in order
+ * - Per-sender limits and a global size cap with fee-based eviction
+ * - Time-based expiry
+ * - Issuer-signed transactions (fee 0, no sender) are never evicted or
+ *   expired, so accepted mints are not silently dropped under pressure
+ * - Replace-by-fee for a sender's pending nonce
+ *
+ * Balance and nonce rules live in Blockchain.addTransaction; the pool only
+ * enforces admission policy.
+ */
+class Mempool {
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || BLOCKCHAIN_CONFIG.MAX_PENDING_TRANSACTIONS;
+        this.maxPerSender = options.maxPerSender || BLOCKCHAIN_CONFIG.MEMPOOL_MAX_PER_SENDER;
+        this.ttl = options.ttl || BLOCKCHAIN_CONFIG.MEMPOOL_TRANSACTION_TTL;
+        this.replacementBump = options.replacementBump || BLOCKCHAIN_CONFIG.MEMPOOL_REPLACEMENT_FEE_BUMP;
+
+        this.entries = new Map(); // Transaction hash -> { tx, addedAt }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Pending transactions in arrival order
+     */
+    getTransactions() {
+        return [...this.entries.values()].map(entry => entry.tx);
+    }
+
+    has(hash) {
+        return this.entries.has(hash);
+    }
+
+    /**
+     * A sender's pending transactions, ordered by nonce
+     */
+    getBySender(address) {
+        return this.getTransactions()
+            .filter(tx => tx.fromAddress === address)
+            .sort((a, b) => a.nonce - b.nonce);
+    }
+
+    /**
+     * A sender's pending transactions in one nonce lane (see Transaction.nonceLane), ordered by nonce
+     */
+    getByNonceLane(lane) {
+        return this.getTransactions()
+            .filter(tx => tx.fromAddress && tx.getNonceLane() === lane)
+            .sort((a, b) => a.nonce - b.nonce);
+    }
+
+    /**
+     * Pending transactions sent from or to an address
+     */
+    getForAddress(address) {
+        return this.getTransactions().filter(tx => tx.fromAddress === address || tx.toAddress === address);
+    }
+
+    /**
+     * Find the pending transaction a new one would replace (same sender, nonce lane and nonce)
+     */
+    findReplaceable(transaction) {
+        if (!transaction.fromAddress) {
+            return null;
+        }
+
+        const lane = transaction.getNonceLane();
+        return this.getTransactions().find(
+            tx => tx.fromAddress && tx.getNonceLane() === lane && tx.nonce === transaction.nonce
+        ) || null;
+    }
+
+    /**
+     * Admit a transaction, replacing or evicting by fee where allowed
+     * @returns {Transaction|null} The transaction replaced or evicted, if any
+     * @throws {Error} if the pool policy rejects the transaction
+     */
+    add(transaction) {
+        const hash = transaction.calculateHash();
+        if (this.entries.has(hash)) {
+            throw new Error('Transaction is already in the pending pool');
+        }
+
+        // Replace-by-fee: same sender and nonce with a sufficiently higher fee
+        const existing = this.findReplaceable(transaction);
+        if (existing) {
+            const requiredFee = existing.fee * (1 + this.replacementBump);
+            if (transaction.fee <= existing.fee || transaction.fee < requiredFee) {
+                throw new Error(
+                    `Replacement for nonce ${transaction.nonce} needs a fee of at least ${requiredFee} (pending fee ${existing.fee})`
+                );
+            }
+
+            this.replaceEntry(existing, transaction);
+            return existing;
+        }
+
+        if (transaction.fromAddress && this.getBySender(transaction.fromAddress).length >= this.maxPerSender) {
+            throw new Error(`Sender already has ${this.maxPerSender} pending transactions`);
+        }
+
+        let evicted = null;
+        if (this.entries.size >= this.maxSize) {
+            evicted = this.findEvictable();
+            if (!evicted || evicted.fee >= transaction.fee) {
+                throw new Error('Transaction pool is full. Please try again later or raise the fee.');
+            }
+            this.entries.delete(evicted.calculateHash());
+        }
+
+        this.entries.set(hash, { tx: transaction, addedAt: Date.now() });
+        return evicted;
+    }
+
+    /**
+     * Swap a transaction in place so arrival order is kept
+     * @private
+     */
+    replaceEntry(existing, replacement) {
+        const existingHash = existing.calculateHash();
+        const rebuilt = new Map();
+
+        for (const [hash, entry] of this.entries) {
+            if (hash === existingHash) {
+                rebuilt.set(replacement.calculateHash(), { tx: replacement, addedAt: Date.now() });
+            } else {
+                rebuilt.set(hash, entry);
+            }
+        }
+
+        this.entries = rebuilt;
+    }
+
+    /**
+     * Lowest-fee transaction that can leave without opening a nonce gap
+     * (the highest nonce in a sender's lane; issuer transactions are never evicted)
+     * @private
+     */
+    findEvictable() {
+        const tails = new Map(); // Nonce lane -> highest-nonce transaction
+
+        for (const tx of this.getTransactions()) {
+            const lane = tx.fromAddress && tx.getNonceLane();
+            if (lane && (!tails.has(lane) || tx.nonce > tails.get(lane).nonce)) {
+                tails.set(lane, tx);
+            }
+        }
+
+        const candidates = [...tails.values()];
+        candidates.sort((a, b) => a.fee - b.fee || b.timestamp - a.timestamp);
+        return candidates[0] || null;
+    }
+
+    /**
+     * Put transactions back without admission checks
+     * Used when restoring a snapshot or returning orphaned transactions
+     */
+    restore(transactions) {
+        for (const tx of transactions) {
+            const hash = tx.calculateHash();
+            if (!this.entries.has(hash)) {
+                this.entries.set(hash, { tx, addedAt: Date.now() });
+            }
+        }
+    }
+
+    /**
+     * Remove transactions matching a predicate
+     * @returns {Transaction[]} Removed transactions
+     */
+    removeWhere(predicate) {
+        const removed = [];
+
+        for (const [hash, entry] of this.entries) {
+            if (predicate(entry.tx, hash)) {
+                this.entries.delete(hash);
+                removed.push(entry.tx);
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Remove transactions by hash
+     */
+    remove(hashes) {
+        return this.removeWhere((tx, hash) => hashes.has(hash));
+    }
+
+    /**
+     * Drop transactions older than the TTL, along with later nonces from the
+     * same sender and nonce lane that could no longer be mined; issuer
+     * transactions stay
+     * @returns {Transaction[]} Expired transactions
+     */
+    expire(now = Date.now()) {
+        const cutoffs = new Map(); // Nonce lane -> lowest expired nonce
+        const expired = new Set();
+
+        for (const [hash, entry] of this.entries) {
+            if (!entry.tx.fromAddress || now - entry.addedAt <= this.ttl) {
+                continue;
+            }
+            expired.add(hash);
+
+            const lane = entry.tx.getNonceLane();
+            if (!cutoffs.has(lane) || entry.tx.nonce < cutoffs.get(lane)) {
+                cutoffs.set(lane, entry.tx.nonce);
+            }
+        }
+
+        const removed = this.removeWhere((tx, hash) => expired.has(hash) ||
+            (tx.fromAddress && cutoffs.has(tx.getNonceLane()) && tx.nonce > cutoffs.get(tx.getNonceLane()))
+        );
+
+        if (removed.length > 0) {
+            console.log(`⌛ Expired ${removed.length} pending transaction(s)`);
+        }
+        return removed;
+    }
+
+    /**
+     * Pick transactions for the next block, highest fee first
+     * Each nonce lane (a sender's transactions, or its time-locked ones) stays
+     * in nonce order, so a later transaction is only considered once its
+     * predecessor was picked
+     * @param {Function} isReady - Whether a transaction may go in this block (e.g. its time lock
+     *   has passed); a lane's queue stops at its first transaction that is not
+     */
+    select(limit = BLOCKCHAIN_CONFIG.MAX_BLOCK_TRANSACTIONS, isReady = () => true) {
+        // Queue each nonce lane's transactions by nonce; system transactions stand alone
+        const queues = [];
+        const byLane = new Map();
+
+        for (const tx of this.getTransactions()) {
+            if (!tx.fromAddress) {
+                queues.push([tx]);
+                continue;
+            }
+            const lane = tx.getNonceLane();
+            if (!byLane.has(lane)) {
+                byLane.set(lane, []);
+                queues.push(byLane.get(lane));
+            }
+            byLane.get(lane).push(tx);
+        }
+
+        for (const queue of byLane.values()) {
+            queue.sort((a, b) => a.nonce - b.nonce);
+        }
+
+        const selected = [];
+        while (selected.length < limit) {
+            let best = null;
+            for (const queue of queues) {
+                if (queue.length === 0 || !isReady(queue[0])) {
+                    continue;
+                }
+                if (!best || queue[0].fee > best[0].fee ||
+                    (queue[0].fee === best[0].fee && queue[0].timestamp < best[0].timestamp)) {
+                    best = queue;
+                }
+            }
+
+            if (!best) {
+                break;
+            }
+            selected.push(best.shift());
+        }
+
+        return selected;
+    }
+
+    /**
+     * Count pending transactions per fee bucket
+     * @returns {Array<{range: string, count: number}>}
+     */
+    getFeeHistogram() {
+        const bounds = BLOCKCHAIN_CONFIG.MEMPOOL_FEE_BUCKETS;
+        const histogram = bounds.map((lower, i) => ({
+            range: i + 1 < bounds.length ? `${lower}-${bounds[i + 1]}` : `${lower}+`,
+            count: 0
+        }));
+
+        for (const tx of this.getTransactions()) {
+            let bucket = 0;
+            while (bucket + 1 < bounds.length && tx.fee >= bounds[bucket + 1]) {
+                bucket++;
+            }
+            histogram[bucket].count++;
+        }
+
+        return histogram;
+    }
+
+    /**
+     * Get pool statistics
+     */
+    getStats() {
+        return {
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            maxPerSender: this.maxPerSender,
+            ttl: this.ttl,
+            feeHistogram: this.getFeeHistogram()
+        };
+    }
+}
+
+export default Mempool;
@@ -0,0 +1,214 @@
+import crypto from 'crypto';
+import EC from 'elliptic';
+import { TRANSACTION_TYPES } from './Constants.js';
+import { calculateEnergyTokens } from '../utils/EnergyUtils.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Hash of the fields a meter signs
+ * Hashed as a JSON array, so digits cannot move between the id, counter and timestamp
+ */
+export function hashMeterReading({ meterId, cumulativeKWh, timestamp }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify([meterId, cumulativeKWh, timestamp]))
+        .digest('hex');
+}
+
+/**
+ * Sign a reading with the meter's own key (run on the meter/gateway)
+ * @param {{meterId: string, cumulativeKWh: number, timestamp: number}} reading
+ * @returns {Object} The reading with its signature
+ */
+export function signMeterReading(reading, meterKey) {
+    const sig = meterKey.sign(hashMeterReading(reading), 'base64');
+    return { ...reading, signature: sig.toDER('hex') };
+}
+
+/**
+ * MeterRegistry - Registered energy meters and their last verified reading
+ *
+ * - Meters are registered on chain by an authorised issuer, with their own key
+ * - Readings carry a cumulative kWh counter signed by the meter
+ * - Each mint is the delta between consecutive verified readings, so a
+ *   rolled-back or repeated counter can never be tokenized
+ *
+ * Like the stake ledger, the registry is rebuilt by replaying blocks.
+ */
+class MeterRegistry {
+    constructor() {
+        this.meters = new Map(); // Meter id -> { meterId, meterKey, providerAddress, energySource, location, lastReading }
+    }
+
+    /**
+     * Copy the registry so a block can be checked without touching this one
+     */
+    clone() {
+        const copy = new MeterRegistry();
+        for (const [meterId, meter] of this.meters) {
+            copy.meters.set(meterId, { ...meter, lastReading: { ...meter.lastReading } });
+        }
+        return copy;
+    }
+
+    getMeter(meterId) {
+        return this.meters.get(meterId) || null;
+    }
+
+    getMeters() {
+        return [...this.meters.values()];
+    }
+
+    /**
+     * Check a meter registration transaction
+     * @returns {string|null} Reason the registration is not allowed, or null
+     */
+    validateRegistration(tx) {
+        const { meterId, meterKey, initialKWh } = tx.metadata;
+
+        if (tx.fromAddress !== null) {
+            return 'Meters can only be registered by an authorised issuer';
+        }
+        if (!meterId || typeof meterId !== 'string') {
+            return 'Meter registration needs a meter id';
+        }
+        if (this.meters.has(meterId)) {
+            return `Meter ${meterId} is already registered`;
+        }
+        if (typeof initialKWh !== 'number' || !(initialKWh >= 0)) {
+            return `Meter ${meterId} needs a non-negative initial kWh counter`;
+        }
+
+        try {
+            ec.keyFromPublic(meterKey, 'hex').getPublic();
+        } catch (error) {
+            return `Meter ${meterId} has an invalid public key`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a signed reading follows the previous one for its meter
+     * @param {Object} previous - Last reading accepted for the meter (defaults to the confirmed one)
+     * @returns {string|null} Reason the reading is rejected, or null
+     */
+    validateReading(reading, previous = null) {
+        const meter = reading && this.meters.get(reading.meterId);
+        if (!meter) {
+            return `Meter ${reading && reading.meterId} is not registered`;
+        }
+
+        if (typeof reading.cumulativeKWh !== 'number' || !Number.isFinite(reading.cumulativeKWh) || reading.cumulativeKWh < 0) {
+            return 'Meter reading needs a finite, non-negative cumulative kWh counter';
+        }
+        // A timestamp that compares oddly would otherwise lock out every later reading
+        if (!Number.isSafeInteger(reading.timestamp)) {
+            return 'Meter reading timestamp must be an integer (ms since epoch)';
+        }
+
+        let valid = false;
+        try {
+            valid = ec.keyFromPublic(meter.meterKey, 'hex').verify(hashMeterReading(reading), reading.signature);
+        } catch (error) {
+            valid = false;
+        }
+        if (!valid) {
+            return `Meter reading is not signed by meter ${reading.meterId}`;
+        }
+
+        const last = previous || meter.lastReading;
+        if (reading.cumulativeKWh === last.cumulativeKWh) {
+            return `Duplicate meter reading: counter is still ${last.cumulativeKWh} kWh`;
+        }
+        if (reading.cumulativeKWh < last.cumulativeKWh) {
+            return `Meter reading rolls back from ${last.cumulativeKWh} to ${reading.cumulativeKWh} kWh`;
+        }
+        if (!(reading.timestamp > last.timestamp)) {
+            return 'Meter reading is not newer than the previous reading';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check an energy mint matches the delta of its meter reading
+     * Only signed fields are trusted: the metadata's kWh and source, and the
+     * token amount, which must be what that delta earns
+     * @returns {string|null} Reason the mint is rejected, or null
+     */
+    validateMint(tx, previous = null) {
+        const reading = tx.metadata.meterReading;
+        const reason = this.validateReading(reading, previous);
+        if (reason) {
+            return reason;
+        }
+
+        const meter = this.meters.get(reading.meterId);
+        const last = previous || meter.lastReading;
+
+        if (tx.toAddress !== meter.providerAddress) {
+            return `Meter ${meter.meterId} mints to ${meter.providerAddress}, not ${tx.toAddress}`;
+        }
+        const { energyAmount, energySource } = tx.metadata;
+        if (energySource !== meter.energySource) {
+            return `Meter ${meter.meterId} is registered as ${meter.energySource}, not ${energySource}`;
+        }
+        if (energyAmount !== reading.cumulativeKWh - last.cumulativeKWh) {
+            return `Mint of ${energyAmount} kWh does not match the meter delta`;
+        }
+        const { tokens } = calculateEnergyTokens(energyAmount, energySource);
+        if (tx.amount !== tokens) {
+            return `Mint of ${tx.amount} tokens does not match the ${tokens} earned by ${energyAmount} kWh`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check if a transaction is a system mint backed by a meter reading
+     */
+    isMeterMint(tx) {
+        return tx.fromAddress === null &&
+            tx.transactionType === TRANSACTION_TYPES.ENERGY_TRADE &&
+            Boolean(tx.metadata && tx.metadata.meterReading);
+    }
+
+    /**
+     * Apply a block's meter registrations and meter-backed mints
+     * @returns {string|null} Reason the block is invalid, or null
+     */
+    applyBlock(block) {
+        for (const tx of block.transactions) {
+            if (tx.transactionType === TRANSACTION_TYPES.METER_REGISTRATION) {
+                const reason = this.validateRegistration(tx);
+                if (reason) {
+                    return reason;
+                }
+
+                const { meterId, meterKey, energySource, location, initialKWh } = tx.metadata;
+                this.meters.set(meterId, {
+                    meterId,
+                    meterKey,
+                    providerAddress: tx.toAddress,
+                    energySource,
+                    location: location || null,
+                    lastReading: { cumulativeKWh: initialKWh, timestamp: tx.timestamp }
+                });
+            } else if (this.isMeterMint(tx)) {
+                const reason = this.validateMint(tx);
+                if (reason) {
+                    return reason;
+                }
+
+                const { meterId, cumulativeKWh, timestamp } = tx.metadata.meterReading;
+                this.meters.get(meterId).lastReading = { cumulativeKWh, timestamp };
+            }
+        }
+
+        return null;
+    }
+}
+
+export default MeterRegistry;
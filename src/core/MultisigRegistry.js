@@ -0,0 +1,99 @@
+import { TRANSACTION_TYPES } from './Constants.js';
+import { multisigAddress } from '../utils/Address.js';
+import { validateMultisigAccount } from '../utils/Validation.js';
+
+/**
+ * MultisigRegistry - M-of-N accounts derived from the chain
+ *
+ * - A creation transaction declares the member addresses and threshold; the
+ *   account's address is derived from them, so it can be funded (and spent
+ *   from) by anyone who knows the key set
+ * - A spend from the account carries the key set and needs signatures from
+ *   `threshold` distinct members (checked by Transaction.isValid)
+ * - Spends are only accepted from registered accounts, so funds sent to a
+ *   mistyped key set are not silently claimable by a different one
+ *
+ * Like the stake ledger, the registry is rebuilt by replaying blocks.
+ */
+class MultisigRegistry {
+    constructor() {
+        this.accounts = new Map(); // Address -> { address, threshold, members, creator, createdAt }
+    }
+
+    /**
+     * Copy the registry so a block can be checked without touching this one
+     */
+    clone() {
+        const copy = new MultisigRegistry();
+        for (const [address, account] of this.accounts) {
+            copy.accounts.set(address, { ...account });
+        }
+        return copy;
+    }
+
+    getAccount(address) {
+        return this.accounts.get(address) || null;
+    }
+
+    /**
+     * Check if a transaction creates or spends from a multisig account
+     */
+    isMultisigTransaction(tx) {
+        return tx.transactionType === TRANSACTION_TYPES.MULTISIG_CREATE || Boolean(tx.multisig);
+    }
+
+    /**
+     * Check a multisig transaction against the registry
+     * @returns {string|null} Reason the transaction is not allowed, or null
+     */
+    validateTransaction(tx) {
+        if (tx.transactionType === TRANSACTION_TYPES.MULTISIG_CREATE) {
+            const { threshold, members } = tx.metadata;
+            try {
+                validateMultisigAccount(threshold, members);
+            } catch (error) {
+                return error.message;
+            }
+            if (tx.toAddress !== multisigAddress(threshold, members)) {
+                return 'Multisig account address does not match its members and threshold';
+            }
+            if (tx.multisig) {
+                return 'A multisig account must be created by a single-key account';
+            }
+            return this.accounts.has(tx.toAddress) ? `Multisig account ${tx.toAddress} already exists` : null;
+        }
+
+        return this.accounts.has(tx.fromAddress) ? null : `${tx.fromAddress} is not a registered multisig account`;
+    }
+
+    /**
+     * Apply a block's multisig transactions
+     * @returns {string|null} Reason the block is invalid, or null
+     */
+    applyBlock(block, height) {
+        for (const tx of block.transactions) {
+            if (!this.isMultisigTransaction(tx)) {
+                continue;
+            }
+
+            const reason = this.validateTransaction(tx);
+            if (reason) {
+                return reason;
+            }
+
+            if (tx.transactionType === TRANSACTION_TYPES.MULTISIG_CREATE) {
+                this.accounts.set(tx.toAddress, {
+                    address: tx.toAddress,
+                    threshold: tx.metadata.threshold,
+                    members: [...tx.metadata.members].sort(),
+                    creator: tx.fromAddress,
+                    createdAt: height
+                });
+            }
+        }
+
+        return null;
+    }
+}
+
+export default MultisigRegistry;
@@ -0,0 +1,162 @@
+import { BLOCKCHAIN_CONFIG, TRANSACTION_TYPES } from './Constants.js';
+
+/**
+ * Provider reputation derived from chain history
+ *
+ * Every input is read from confirmed blocks and weighted by block height
+ * (never wall-clock time), so any node with the same chain computes the
+ * same score. Older activity fades with an exponential decay.
+ */
+
+// Share of the score each component contributes (sums to 1)
+const WEIGHTS = {
+    computeVolume: 0.25,
+    computeRegularity: 0.15,
+    energyConsistency: 0.15,
+    renewableShare: 0.15,
+    blocksMined: 0.15,
+    accountAge: 0.15
+};
+
+// Decayed amount at which a component reaches half its maximum
+const HALF_SATURATION = {
+    computeVolume: 100, // GPU hours
+    computeRegularity: 5, // active windows
+    energyConsistency: 5, // active windows
+    blocksMined: 10 // blocks
+};
+
+/**
+ * Map a non-negative amount onto 0..1, reaching 0.5 at `half`
+ * @private
+ */
+function saturate(value, half) {
+    return value / (value + half);
+}
+
+/**
+ * Calculate an address's reputation from the chain
+ * @param {Block[]} chain - Confirmed blocks, genesis first
+ * @param {ComputeMarket} computeMarket - Job outcomes derived from the same chain
+ * @param {Object} options
+ * @param {number} options.halfLife - Blocks for an event's weight to halve
+ * @param {number} options.window - Blocks per period when measuring regularity
+ * @param {Set<string>} options.issuers - Authorised issuer addresses (mints by others are ignored)
+ * @returns {{address: string, score: number, components: Object, stats: Object}}
+ */
+export function calculateReputation(chain, address, computeMarket, options = {}) {
+    const halfLife = options.halfLife || BLOCKCHAIN_CONFIG.REPUTATION_HALF_LIFE;
+    const window = options.window || BLOCKCHAIN_CONFIG.REPUTATION_WINDOW;
+    const tip = chain.length - 1;
+    const decay = height => Math.pow(0.5, (tip - height) / halfLife);
+    const isIssuedMint = tx => tx.fromAddress === null && Boolean(tx.issuer) &&
+        (!options.issuers || options.issuers.has(tx.issuer));
+
+    const stats = {
+        firstSeen: null,
+        gpuHoursDelivered: 0,
+        energyKWh: 0,
+        renewableKWh: 0,
+        blocksMined: 0,
+        disputesLost: 0,
+        missedDeadlines: 0
+    };
+    let computeVolume = 0;
+    let energyTotal = 0;
+    let energyRenewable = 0;
+    let blocksMined = 0;
+    let penalty = 0;
+    const computeWindows = new Map(); // Window index -> decay weight
+    const energyWindows = new Map();
+
+    const markWindow = (windows, height) => {
+        const index = Math.floor(height / window);
+        windows.set(index, Math.max(windows.get(index) || 0, decay(height)));
+    };
+    const recordDelivery = (gpuHours, height) => {
+        stats.gpuHoursDelivered += gpuHours;
+        computeVolume += gpuHours * decay(height);
+        markWindow(computeWindows, height);
+    };
+
+    for (let height = 1; height <= tip; height++) {
+        for (const tx of chain[height].transactions) {
+            if (tx.fromAddress !== address && tx.toAddress !== address) {
+                continue;
+            }
+            if (stats.firstSeen === null) {
+                stats.firstSeen = height;
+            }
+            if (tx.toAddress !== address) {
+                continue;
+            }
+
+            if (tx.transactionType === TRANSACTION_TYPES.MINING_REWARD) {
+                stats.blocksMined++;
+                blocksMined += decay(height);
+            } else if (tx.transactionType === TRANSACTION_TYPES.COMPUTE_ALLOCATION) {
+                // Paying yourself for compute is not a delivery
+                if (tx.fromAddress && tx.fromAddress !== address) {
+                    recordDelivery(tx.metadata.computeUnits || 0, height);
+                }
+            } else if (tx.transactionType === TRANSACTION_TYPES.ENERGY_TRADE && isIssuedMint(tx)) {
+                // Only issuer-signed mints attest to energy; user-signed trades claim what they like
+                const kWh = tx.metadata.energyAmount || 0;
+                stats.energyKWh += kWh;
+                energyTotal += kWh * decay(height);
+                if (tx.metadata.energySource === 'renewable') {
+                    stats.renewableKWh += kWh;
+                    energyRenewable += kWh * decay(height);
+                }
+                markWindow(energyWindows, height);
+            }
+        }
+    }
+
+    // Marketplace jobs: paid deliveries count, lost disputes and missed deadlines cost
+    for (const job of computeMarket.getJobs({ address })) {
+        if (job.provider !== address || job.settledAt === null) {
+            continue;
+        }
+
+        if (job.status === 'released') {
+            recordDelivery(job.computeUnits, job.settledAt);
+        } else if (job.status === 'resolved') {
+            const { providerShare } = job.dispute.outcome;
+            if (providerShare > 0) {
+                recordDelivery(job.computeUnits * providerShare, job.settledAt);
+            }
+            if (providerShare < 0.5) {
+                stats.disputesLost++;
+            }
+            penalty += (1 - providerShare) * decay(job.settledAt);
+        } else if (job.status === 'refunded') {
+            stats.missedDeadlines++;
+            penalty += decay(job.settledAt);
+        }
+    }
+
+    const sumWeights = windows => [...windows.values()].reduce((sum, weight) => sum + weight, 0);
+    const components = {
+        computeVolume: saturate(computeVolume, HALF_SATURATION.computeVolume),
+        computeRegularity: saturate(sumWeights(computeWindows), HALF_SATURATION.computeRegularity),
+        energyConsistency: saturate(sumWeights(energyWindows), HALF_SATURATION.energyConsistency),
+        renewableShare: energyTotal > 0 ? energyRenewable / energyTotal : 0,
+        blocksMined: saturate(blocksMined, HALF_SATURATION.blocksMined),
+        accountAge: stats.firstSeen === null
+            ? 0
+            : Math.min(1, (tip - stats.firstSeen) / BLOCKCHAIN_CONFIG.REPUTATION_MATURE_AGE)
+    };
+
+    // A fully lost dispute or missed deadline halves the score, and each one after cuts it further
+    const disputeFactor = 1 / (1 + penalty);
+    const weighted = Object.entries(WEIGHTS).reduce((sum, [name, weight]) => sum + components[name] * weight, 0);
+
+    return {
+        address,
+        height: tip,
+        score: Math.round(weighted * disputeFactor * 10000) / 100,
+        components: { ...components, disputeFactor },
+        stats
+    };
+}
@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+import Block from './Block.js';
+import { BLOCKCHAIN_CONFIG, TRANSACTION_TYPES } from './Constants.js';
+
+/**
+ * StakeLedger - Validator stakes derived from the chain
+ *
+ * - Stake transactions bond funds; they count after the bonding period
+ * - Unstake transactions stop counting at once and return the funds to the
+ *   balance after the bonding period
+ * - Proposers are picked deterministically, weighted by active stake
+ * - Double-sign evidence burns part of the offender's active stake, and of
+ *   any stake it is still unbonding, and jails it from proposing for a while
+ *
+ * The ledger is rebuilt by replaying blocks, so every node derives the same
+ * validator set for a given chain.
+ */
+class StakeLedger {
+    /**
+     * @param {Array<{address: string, stake: number}>} genesisValidators - Active from height 0
+     * @param {Object} options
+     * @param {number} options.bondingPeriod - Blocks before stake counts or is released
+     * @param {number} options.slashFraction - Share of active stake burned per offence
+     * @param {number} options.jailPeriod - Blocks a slashed validator may not propose
+     */
+    constructor(genesisValidators = [], options = {}) {
+        this.bondingPeriod = options.bondingPeriod || BLOCKCHAIN_CONFIG.STAKE_BONDING_PERIOD;
+        this.slashFraction = options.slashFraction || BLOCKCHAIN_CONFIG.SLASH_FRACTION;
+        this.jailPeriod = options.jailPeriod || BLOCKCHAIN_CONFIG.VALIDATOR_JAIL_PERIOD;
+
+        this.active = new Map(); // Address -> stake counted for proposer selection
+        this.bonding = []; // { address, amount, activeAt }
+        this.unbonding = []; // { address, amount, releaseAt }
+        this.released = new Map(); // Address -> unstaked funds returned to the balance
+        this.jailedUntil = new Map(); // Address -> first height it may propose again
+        this.slashes = new Map(); // Address -> [{ height, amount, blocks, reporter }]
+        this.slashedEvidence = new Set(); // Conflicting block hash pairs already punished
+
+        for (const { address, stake } of genesisValidators) {
+            this.active.set(address, (this.active.get(address) || 0) + stake);
+        }
+    }
+
+    /**
+     * Copy the ledger so a block can be checked without touching this one
+     */
+    clone() {
+        const copy = new StakeLedger([], {
+            bondingPeriod: this.bondingPeriod,
+            slashFraction: this.slashFraction,
+            jailPeriod: this.jailPeriod
+        });
+        copy.active = new Map(this.active);
+        copy.bonding = this.bonding.map(entry => ({ ...entry }));
+        copy.unbonding = this.unbonding.map(entry => ({ ...entry }));
+        copy.released = new Map(this.released);
+        copy.jailedUntil = new Map(this.jailedUntil);
+        copy.slashes = new Map([...this.slashes].map(([address, history]) => [address, [...history]]));
+        copy.slashedEvidence = new Set(this.slashedEvidence);
+        return copy;
+    }
+
+    /**
+     * Stakes eligible to propose the block at a height
+     */
+    getActiveStakes(height) {
+        const stakes = new Map(this.active);
+
+        for (const { address, amount, activeAt } of this.bonding) {
+            if (activeAt <= height) {
+                stakes.set(address, (stakes.get(address) || 0) + amount);
+            }
+        }
+
+        return stakes;
+    }
+
+    /**
+     * Funds returned to an address by completed unstakes
+     */
+    getReleased(address) {
+        return this.released.get(address) || 0;
+    }
+
+    /**
+     * Stake still bonding or unbonding for an address
+     */
+    getPending(address) {
+        const bonding = this.bonding
+            .filter(entry => entry.address === address)
+            .reduce((sum, entry) => sum + entry.amount, 0);
+        const unbonding = this.unbonding
+            .filter(entry => entry.address === address)
+            .reduce((sum, entry) => sum + entry.amount, 0);
+
+        return { bonding, unbonding };
+    }
+
+    /**
+     * Check if a validator is serving a jail sentence at a height
+     */
+    isJailed(address, height) {
+        return (this.jailedUntil.get(address) || 0) > height;
+    }
+
+    /**
+     * Every validator the ledger knows about, with stake, jail and slash details
+     * @returns {Array<Object>}
+     */
+    getRegistry(height) {
+        const stakes = this.getActiveStakes(height);
+        const addresses = new Set([
+            ...stakes.keys(),
+            ...this.bonding.map(entry => entry.address),
+            ...this.unbonding.map(entry => entry.address),
+            ...this.slashes.keys()
+        ]);
+
+        return [...addresses].map(address => {
+            const { bonding, unbonding } = this.getPending(address);
+            return {
+                address,
+                stake: stakes.get(address) || 0,
+                bonding,
+                unbonding,
+                jailed: this.isJailed(address, height),
+                jailedUntil: this.isJailed(address, height) ? this.jailedUntil.get(address) : null,
+                slashes: this.slashes.get(address) || []
+            };
+        });
+    }
+
+    /**
+     * Pick the proposer for a height, weighted by active stake
+     * The seed (the previous block hash) makes the choice unpredictable
+     * before that block exists but identical on every node
+     * @returns {string|null} Validator address, or null when nobody is staked
+     */
+    getProposer(height, seed) {
+        const stakes = [...this.getActiveStakes(height)]
+            .filter(([address]) => !this.isJailed(address, height))
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        const totalStake = stakes.reduce((sum, [, stake]) => sum + stake, 0);
+        if (totalStake <= 0) {
+            return null;
+        }
+
+        const digest = crypto.createHash('sha256').update(seed + height).digest('hex');
+        let target = (parseInt(digest.substring(0, 12), 16) / 0x1000000000000) * totalStake;
+
+        for (const [address, stake] of stakes) {
+            if (target < stake) {
+                return address;
+            }
+            target -= stake;
+        }
+
+        return stakes[stakes.length - 1][0];
+    }
+
+    /**
+     * Check a stake, unstake or evidence transaction against the ledger at a height
+     * @param {number} pendingUnstake - Unstakes by the same sender already pooled
+     * @returns {string|null} Reason the transaction is not allowed, or null
+     */
+    validateTransaction(tx, height, pendingUnstake = 0) {
+        if (tx.transactionType === TRANSACTION_TYPES.DOUBLE_SIGN_EVIDENCE) {
+            return this.validateEvidence(tx, height);
+        }
+
+        if (tx.toAddress !== tx.fromAddress) {
+            return 'Stake and unstake transactions must be sent to the staker\'s own address';
+        }
+
+        if (tx.transactionType === TRANSACTION_TYPES.STAKE && tx.amount < BLOCKCHAIN_CONFIG.MIN_STAKE) {
+            return `Stake of ${tx.amount} is below the minimum of ${BLOCKCHAIN_CONFIG.MIN_STAKE}`;
+        }
+
+        if (tx.transactionType === TRANSACTION_TYPES.UNSTAKE) {
+            const staked = (this.getActiveStakes(height).get(tx.fromAddress) || 0) - pendingUnstake;
+            if (tx.amount > staked) {
+                return `Cannot unstake ${tx.amount}: only ${staked} is actively staked`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check double-sign evidence: two different blocks with the same parent,
+     * both signed by the accused validator (the transaction's recipient)
+     * @returns {string|null} Reason the evidence is not accepted, or null
+     */
+    validateEvidence(tx, height) {
+        let headers;
+        try {
+            headers = (tx.metadata.headers || []).map(header => Block.fromJSON(header));
+        } catch (error) {
+            return `Unreadable double-sign evidence: ${error.message}`;
+        }
+
+        if (headers.length !== 2) {
+            return 'Double-sign evidence must carry exactly two signed block headers';
+        }
+
+        const [first, second] = headers;
+        if (first.hash === second.hash) {
+            return 'Double-sign evidence headers are the same block';
+        }
+        if (first.previousHash !== second.previousHash) {
+            return 'Double-sign evidence headers are not at the same height';
+        }
+
+        for (const header of headers) {
+            if (header.validator !== tx.toAddress) {
+                return 'Double-sign evidence header was not signed by the accused validator';
+            }
+            if (header.hash !== header.calculateHash()) {
+                return 'Double-sign evidence header hash does not match its contents';
+            }
+            if (!header.hasValidSignature()) {
+                return 'Double-sign evidence header has an invalid signature';
+            }
+        }
+
+        if (this.slashedEvidence.has(this.evidenceKey(tx))) {
+            return 'This double signing has already been slashed';
+        }
+
+        // Unstaking does not escape the evidence until the funds are released
+        if (!this.getActiveStakes(height).get(tx.toAddress) && !this.getPending(tx.toAddress).unbonding) {
+            return 'Accused validator has no active or unbonding stake to slash';
+        }
+
+        return null;
+    }
+
+    /**
+     * Identify a pair of conflicting headers regardless of their order
+     */
+    evidenceKey(tx) {
+        return (tx.metadata.headers || []).map(header => header && header.hash).sort().join(':');
+    }
+
+    /**
+     * Burn part of a validator's active and unbonding stake and jail it
+     * @private
+     */
+    slash(tx, height) {
+        const address = tx.toAddress;
+        const stake = this.active.get(address) || 0;
+        let amount = stake * this.slashFraction;
+
+        if (stake - amount > 0) {
+            this.active.set(address, stake - amount);
+        } else {
+            this.active.delete(address);
+        }
+
+        for (const entry of this.unbonding) {
+            if (entry.address === address) {
+                const burned = entry.amount * this.slashFraction;
+                entry.amount -= burned;
+                amount += burned;
+            }
+        }
+
+        this.jailedUntil.set(address, height + this.jailPeriod);
+        this.slashedEvidence.add(this.evidenceKey(tx));
+
+        if (!this.slashes.has(address)) {
+            this.slashes.set(address, []);
+        }
+        this.slashes.get(address).push({
+            height,
+            amount,
+            blocks: tx.metadata.headers.map(header => header.hash),
+            reporter: tx.fromAddress
+        });
+    }
+
+    /**
+     * Apply a block's stake, unstake and evidence transactions, maturing earlier ones first
+     * @returns {string|null} Reason the block is invalid, or null
+     */
+    applyBlock(block, height) {
+        this.advance(height);
+
+        for (const tx of block.transactions) {
+            if (
+                tx.transactionType !== TRANSACTION_TYPES.STAKE &&
+                tx.transactionType !== TRANSACTION_TYPES.UNSTAKE &&
+                tx.transactionType !== TRANSACTION_TYPES.DOUBLE_SIGN_EVIDENCE
+            ) {
+                continue;
+            }
+
+            const reason = this.validateTransaction(tx, height);
+            if (reason) {
+                return reason;
+            }
+
+            if (tx.transactionType === TRANSACTION_TYPES.DOUBLE_SIGN_EVIDENCE) {
+                this.slash(tx, height);
+            } else if (tx.transactionType === TRANSACTION_TYPES.STAKE) {
+                this.bonding.push({ address: tx.fromAddress, amount: tx.amount, activeAt: height + this.bondingPeriod });
+            } else {
+                const remaining = this.active.get(tx.fromAddress) - tx.amount;
+                if (remaining > 0) {
+                    this.active.set(tx.fromAddress, remaining);
+                } else {
+                    this.active.delete(tx.fromAddress);
+                }
+                this.unbonding.push({ address: tx.fromAddress, amount: tx.amount, releaseAt: height + this.bondingPeriod });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Activate bonded stakes and release unbonded funds due at a height
+     * @private
+     */
+    advance(height) {
+        this.bonding = this.bonding.filter(({ address, amount, activeAt }) => {
+            if (activeAt > height) {
+                return true;
+            }
+            this.active.set(address, (this.active.get(address) || 0) + amount);
+            return false;
+        });
+
+        this.unbonding = this.unbonding.filter(({ address, amount, releaseAt }) => {
+            if (releaseAt > height) {
+                return true;
+            }
+            this.released.set(address, this.getReleased(address) + amount);
+            return false;
+        });
+    }
+}
+
+export default StakeLedger;
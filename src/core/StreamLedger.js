@@ -0,0 +1,166 @@
+import { TRANSACTION_TYPES } from './Constants.js';
+
+/**
+ * StreamLedger - Recurring payment streams derived from the chain
+ *
+ * - Opening a stream locks a deposit from the payer and fixes an amount
+ *   paid to the recipient every `interval` blocks, starting one interval
+ *   after the stream is mined (e.g. a monthly PPA settlement)
+ * - Payments are released by block height, never early, until the deposit
+ *   runs out or the payer cancels; cancelling returns what is left
+ * - A stream is identified by the hash of the transaction that opened it
+ *
+ * Like the stake ledger, the streams are rebuilt by replaying blocks.
+ */
+class StreamLedger {
+    constructor() {
+        this.streams = new Map(); // Stream id -> stream
+        this.payouts = new Map(); // Address -> stream payments and refunds received
+    }
+
+    /**
+     * Copy the ledger so a block can be checked without touching this one
+     */
+    clone() {
+        const copy = new StreamLedger();
+        for (const [id, stream] of this.streams) {
+            copy.streams.set(id, { ...stream });
+        }
+        copy.payouts = new Map(this.payouts);
+        return copy;
+    }
+
+    getStream(streamId) {
+        return this.streams.get(streamId) || null;
+    }
+
+    /**
+     * Streams an address pays into or receives from
+     */
+    getStreams(address) {
+        return [...this.streams.values()].filter(stream => stream.payer === address || stream.recipient === address);
+    }
+
+    /**
+     * Funds paid to an address by streams (payments, and refunds to payers)
+     */
+    getPayouts(address) {
+        return this.payouts.get(address) || 0;
+    }
+
+    /**
+     * Check if a transaction opens or cancels a stream
+     */
+    isStreamTransaction(tx) {
+        return tx.transactionType === TRANSACTION_TYPES.STREAM_OPEN ||
+            tx.transactionType === TRANSACTION_TYPES.STREAM_CANCEL;
+    }
+
+    /**
+     * Check a stream transaction against the ledger
+     * @returns {string|null} Reason the transaction is not allowed, or null
+     */
+    validateTransaction(tx) {
+        if (tx.transactionType === TRANSACTION_TYPES.STREAM_OPEN) {
+            const { amountPerInterval, interval } = tx.metadata;
+            if (tx.toAddress === tx.fromAddress) {
+                return 'Cannot open a payment stream to yourself';
+            }
+            if (!Number.isInteger(interval) || interval < 1) {
+                return 'Stream interval must be a whole number of blocks';
+            }
+            if (typeof amountPerInterval !== 'number' || !(amountPerInterval > 0)) {
+                return 'Stream amount per interval must be positive';
+            }
+            return tx.amount >= amountPerInterval
+                ? null
+                : `Stream deposit must cover at least one payment of ${amountPerInterval}`;
+        }
+
+        const stream = this.streams.get(tx.metadata.streamId);
+        if (!stream) {
+            return `Payment stream ${tx.metadata.streamId} does not exist`;
+        }
+        if (stream.status !== 'active') {
+            return `Payment stream ${stream.id} is already ${stream.status}`;
+        }
+        if (tx.fromAddress !== stream.payer || tx.toAddress !== stream.payer) {
+            return `Payment stream ${stream.id} can only be cancelled by its payer, to itself`;
+        }
+        return tx.amount === 0 ? null : 'Cancelling a stream carries no amount';
+    }
+
+    /**
+     * Apply a block's stream transactions, paying streams due at its height first
+     * @returns {string|null} Reason the block is invalid, or null
+     */
+    applyBlock(block, height) {
+        this.advance(height);
+
+        for (const tx of block.transactions) {
+            if (!this.isStreamTransaction(tx)) {
+                continue;
+            }
+
+            const reason = this.validateTransaction(tx);
+            if (reason) {
+                return reason;
+            }
+
+            if (tx.transactionType === TRANSACTION_TYPES.STREAM_OPEN) {
+                const id = tx.calculateHash();
+                this.streams.set(id, {
+                    id,
+                    payer: tx.fromAddress,
+                    recipient: tx.toAddress,
+                    amountPerInterval: tx.metadata.amountPerInterval,
+                    interval: tx.metadata.interval,
+                    deposit: tx.amount,
+                    paid: 0,
+                    openedAt: height,
+                    nextPaymentAt: height + tx.metadata.interval,
+                    status: 'active',
+                    closedAt: null
+                });
+            } else {
+                const stream = this.streams.get(tx.metadata.streamId);
+                this.credit(stream.payer, stream.deposit - stream.paid);
+                stream.status = 'cancelled';
+                stream.closedAt = height;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Pay every stream installment due at a height
+     * @private
+     */
+    advance(height) {
+        for (const stream of this.streams.values()) {
+            while (stream.status === 'active' && stream.nextPaymentAt <= height) {
+                const remaining = stream.deposit - stream.paid;
+                const payment = Math.min(stream.amountPerInterval, remaining);
+                this.credit(stream.recipient, payment);
+                stream.paid += payment;
+                stream.nextPaymentAt += stream.interval;
+
+                if (payment === remaining) {
+                    stream.status = 'completed';
+                    stream.closedAt = height;
+                }
+            }
+        }
+    }
+
+    /**
+     * Add to the funds an address has received from streams
+     * @private
+     */
+    credit(address, amount) {
+        this.payouts.set(address, this.getPayouts(address) + amount);
+    }
+}
+
+export default StreamLedger;
@@ -1,7 +1,73 @@
 import crypto from 'crypto';
-import EC from 'elliptic';
+import { calculateTransactionFee } from '../utils/EnergyUtils.js';
+import { keyToAddress, multisigAddress, recoverAddress, signHash, verifySignature } from '../utils/Address.js';
+import { BLOCKCHAIN_CONFIG, TRANSACTION_TYPES } from './Constants.js';
 
-const ec = new EC.ec('secp256k1');
+/**
+ * Type-specific fields a transaction copies out of its metadata
+ * @private
+ */
+function metadataFields(transactionType, metadata = {}) {
+    // Energy-specific transaction data
+    if (transactionType === 'energy_trade') {
+        return {
+            energyAmount: metadata.energyAmount || 0, // kWh
+            pricePerKWh: metadata.pricePerKWh || 0,
+            energySource: metadata.energySource || 'mixed',
+            gridRegion: metadata.gridRegion || null // Carbon intensity region (null: the block's)
+        };
+    }
+
+    if (transactionType === 'compute_allocation') {
+        return {
+            computeUnits: metadata.computeUnits || 0, // GPU hours
+            aiWorkloadType: metadata.aiWorkloadType || 'general',
+            estimatedEnergy: metadata.estimatedEnergy || 0,
+            gridRegion: metadata.gridRegion || null // Where the compute draws its power
+        };
+    }
+
+    if (transactionType === 'carbon_credit') {
+        return {
+            carbonAmount: metadata.carbonAmount || 0, // kg CO2
+            creditType: metadata.creditType || 'offset'
+        };
+    }
+
+    return {};
+}
+
+/**
+ * Check the hashed fields hold the types the chain computes with
+ * @private
+ * @returns {string|null} Reason the transaction is malformed, or null
+ */
+function fieldError(tx) {
+    const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+    for (const field of ['fromAddress', 'issuer']) {
+        if (tx[field] !== null && typeof tx[field] !== 'string') {
+            return `Transaction ${field} must be a string or null`;
+        }
+    }
+    if (typeof tx.toAddress !== 'string' || typeof tx.transactionType !== 'string') {
+        return 'Transaction toAddress and type must be strings';
+    }
+    if (!isAmount(tx.amount) || !isAmount(tx.fee)) {
+        return 'Transaction amount and fee must be finite, non-negative numbers';
+    }
+    if (!Number.isSafeInteger(tx.timestamp) || !Number.isSafeInteger(tx.nonce) || tx.nonce < 0) {
+        return 'Transaction timestamp and nonce must be integers';
+    }
+    if (tx.notBefore != null && !Number.isSafeInteger(tx.notBefore)) {
+        return 'Transaction notBefore must be an integer';
+    }
+    if (!tx.metadata || typeof tx.metadata !== 'object' || Array.isArray(tx.metadata)) {
+        return 'Transaction metadata must be an object';
+    }
+
+    return null;
+}
 
 /**
  * Transaction class for EnergyAI blockchain
@@ -15,41 +81,35 @@ class Transaction {
         this.timestamp = Date.now();
         this.transactionType = transactionType; // transfer, energy_trade, compute_allocation, carbon_credit
         this.metadata = metadata;
+        this.nonce = 0; // Sender's account nonce (replay protection)
+        this.fee = fromAddress ? calculateTransactionFee(amount) : 0; // Paid to the miner; may be raised before signing
+        this.issuer = null; // Address of the issuer/oracle signing system-issued (null sender) transactions
         this.signature = null;
 
-        // Energy-specific transaction data
-        if (transactionType === 'energy_trade') {
-            this.energyAmount = metadata.energyAmount || 0; // kWh
-            this.pricePerKWh = metadata.pricePerKWh || 0;
-            this.energySource = metadata.energySource || 'mixed';
-        }
-
-        if (transactionType === 'compute_allocation') {
-            this.computeUnits = metadata.computeUnits || 0; // GPU hours
-            this.aiWorkloadType = metadata.aiWorkloadType || 'general';
-            this.estimatedEnergy = metadata.estimatedEnergy || 0;
-        }
-
-        if (transactionType === 'carbon_credit') {
-            this.carbonAmount = metadata.carbonAmount || 0; // kg CO2
-            this.creditType = metadata.creditType || 'offset';
-        }
+        // Type-specific data, copied out of the metadata
+        Object.assign(this, metadataFields(transactionType, metadata));
     }
 
     /**
      * Calculate hash of the transaction
+     * Fields are hashed as a JSON array, so a number and its string form (or
+     * text shifted between neighbouring fields) hash differently
      */
     calculateHash() {
         return crypto
             .createHash('sha256')
-            .update(
-                this.fromAddress +
-                this.toAddress +
-                this.amount +
-                this.timestamp +
-                this.transactionType +
-                JSON.stringify(this.metadata)
-            )
+            .update(JSON.stringify([
+                this.fromAddress,
+                this.toAddress,
+                this.amount,
+                this.timestamp,
+                this.transactionType,
+                this.metadata,
+                this.nonce,
+                this.fee,
+                this.issuer,
+                this.notBefore ?? null // Only time-locked transactions set it
+            ]))
             .digest('hex');
     }
 
@@ -57,29 +117,175 @@ class Transaction {
      * Sign transaction with private key
      */
     signTransaction(signingKey) {
-        // Check if the public key matches the fromAddress
-        if (signingKey.getPublic('hex') !== this.fromAddress) {
+        // Check if the key's address matches the fromAddress
+        if (keyToAddress(signingKey) !== this.fromAddress) {
             throw new Error('You cannot sign transactions for other wallets!');
         }
 
-        const hashTx = this.calculateHash();
-        const sig = signingKey.sign(hashTx, 'base64');
-        this.signature = sig.toDER('hex');
+        this.signature = signHash(signingKey, this.calculateHash());
+    }
+
+    /**
+     * Sign a system-issued transaction (e.g. an energy mint) as an issuer/oracle
+     * Whether the issuer is authorised is checked by the blockchain
+     */
+    signAsIssuer(issuerKey) {
+        if (this.fromAddress !== null) {
+            throw new Error('Only system-issued transactions can be signed by an issuer');
+        }
+
+        this.issuer = keyToAddress(issuerKey);
+        this.signature = signHash(issuerKey, this.calculateHash());
+    }
+
+    /**
+     * Co-sign a spend from a multisig account with a member's key
+     */
+    signMultisig(signingKey) {
+        return this.addMultisigSignature(signHash(signingKey, this.calculateHash()));
+    }
+
+    /**
+     * Add a member's signature to a multisig spend (e.g. one sent by a co-signer)
+     * @returns {string} Address of the member who signed
+     */
+    addMultisigSignature(signature) {
+        if (!this.multisig) {
+            throw new Error('Only multisig transactions collect co-signatures');
+        }
+
+        const signer = recoverAddress(this.calculateHash(), signature);
+        if (!signer || !this.multisig.members.includes(signer)) {
+            throw new Error('Signature is not from a member of this multisig account');
+        }
+        if (this.getMultisigSigners().includes(signer)) {
+            throw new Error(`${signer} has already signed this transaction`);
+        }
+
+        this.signatures.push(signature);
+        return signer;
+    }
+
+    /**
+     * Addresses recovered from a multisig spend's signatures (null if malformed)
+     */
+    getMultisigSigners() {
+        const hash = this.calculateHash();
+        return (this.signatures || []).map(signature => recoverAddress(hash, signature));
+    }
+
+    /**
+     * Check if this is a system-issued transaction that needs no signature
+     * (block coinbase and genesis allocations, validated at block level)
+     */
+    isUnsignedSystemTransaction() {
+        return this.fromAddress === null && (
+            this.transactionType === TRANSACTION_TYPES.MINING_REWARD ||
+            this.transactionType === TRANSACTION_TYPES.GENESIS_ALLOCATION
+        );
     }
 
     /**
      * Verify if transaction is valid
      */
     isValid() {
-        // Mining rewards don't have fromAddress
-        if (this.fromAddress === null) return true;
+        const fieldReason = fieldError(this);
+        if (fieldReason) {
+            throw new Error(fieldReason);
+        }
+
+        // Coinbase and genesis allocations are checked by block validation
+        if (this.isUnsignedSystemTransaction()) return true;
+
+        // Other system-issued transactions must carry an issuer signature
+        if (this.fromAddress === null) {
+            if (!this.issuer || !this.signature) {
+                throw new Error(`Unsigned system-issued ${this.transactionType} transaction`);
+            }
+
+            return verifySignature(this.calculateHash(), this.signature, this.issuer);
+        }
+
+        // Multisig spends need signatures from `threshold` distinct members of
+        // the key set the sending address commits to
+        if (this.multisig) {
+            const { threshold, members } = this.multisig;
+            if (!Array.isArray(members) || !Array.isArray(this.signatures) ||
+                multisigAddress(threshold, members) !== this.fromAddress) {
+                return false;
+            }
+
+            const signers = this.getMultisigSigners();
+            if (signers.some(signer => !members.includes(signer)) || new Set(signers).size !== signers.length) {
+                return false;
+            }
+            if (signers.length < threshold) {
+                throw new Error(`Multisig transaction has ${signers.length} of ${threshold} required signatures`);
+            }
+            return true;
+        }
 
         if (!this.signature || this.signature.length === 0) {
             throw new Error('No signature in this transaction');
         }
 
-        const publicKey = ec.keyFromPublic(this.fromAddress, 'hex');
-        return publicKey.verify(this.calculateHash(), this.signature);
+        // The signer's key is recovered from the signature and must hash to the sender's address
+        return verifySignature(this.calculateHash(), this.signature, this.fromAddress);
+    }
+
+    /**
+     * Nonce sequence a sender's transaction uses
+     * Time-locked transactions have their own, so one waiting for its lock
+     * never holds up (or is cancelled by) the sender's other transactions
+     */
+    static nonceLane(address, timeLocked = false) {
+        return timeLocked ? `${address}:scheduled` : address;
+    }
+
+    getNonceLane() {
+        return Transaction.nonceLane(this.fromAddress, this.notBefore !== undefined && this.notBefore !== null);
+    }
+
+    /**
+     * Check if a time-locked transaction may be included in a block
+     * `notBefore` is a block height, or a timestamp (ms) from LOCKTIME_THRESHOLD up
+     */
+    isDue(height, timestamp) {
+        if (this.notBefore === undefined || this.notBefore === null) {
+            return true;
+        }
+        if (!Number.isInteger(this.notBefore) || this.notBefore < 0) {
+            return false;
+        }
+
+        return this.notBefore < BLOCKCHAIN_CONFIG.LOCKTIME_THRESHOLD
+            ? height >= this.notBefore
+            : timestamp >= this.notBefore;
+    }
+
+    /**
+     * Amount leaving the sender's balance, fee included
+     * An unstake only pays its fee; the funds return after the bonding period
+     */
+    getOutflow() {
+        return (this.transactionType === TRANSACTION_TYPES.UNSTAKE ? 0 : this.amount) + this.fee;
+    }
+
+    /**
+     * Rebuild a transaction from its JSON form (storage or network)
+     * Keeps the original field order so block hashes still match
+     */
+    static fromJSON(data) {
+        const transaction = Object.assign(Object.create(Transaction.prototype), data);
+
+        // Only the metadata is signed, so its copies are rebuilt from it rather
+        // than trusted (fields the sender left out stay out, as they were hashed)
+        for (const [field, value] of Object.entries(metadataFields(transaction.transactionType, transaction.metadata || {}))) {
+            if (field in transaction) {
+                transaction[field] = value;
+            }
+        }
+        return transaction;
     }
 
     /**
@@ -90,7 +296,9 @@ class Transaction {
             from: this.fromAddress ? this.fromAddress.substring(0, 10) + '...' : 'System',
             to: this.toAddress.substring(0, 10) + '...',
             amount: this.amount,
+            fee: this.fee,
             type: this.transactionType,
+            nonce: this.nonce,
             timestamp: new Date(this.timestamp).toISOString()
         };
 
@@ -98,12 +306,14 @@ class Transaction {
             summary.energyAmount = `${this.energyAmount} kWh`;
             summary.pricePerKWh = this.pricePerKWh;
             summary.energySource = this.energySource;
+            summary.gridRegion = this.gridRegion;
         }
 
         if (this.transactionType === 'compute_allocation') {
             summary.computeUnits = `${this.computeUnits} GPU hours`;
             summary.aiWorkloadType = this.aiWorkloadType;
             summary.estimatedEnergy = `${this.estimatedEnergy} kWh`;
+            summary.gridRegion = this.gridRegion;
         }
 
         if (this.transactionType === 'carbon_credit') {
@@ -111,6 +321,31 @@ class Transaction {
             summary.creditType = this.creditType;
         }
 
+        // Compute marketplace steps name the job they move
+        if (this.metadata && this.metadata.jobId) {
+            summary.jobId = this.metadata.jobId;
+        }
+
+        // Carbon credit moves name the batch they draw from
+        if (this.metadata && this.metadata.batchId) {
+            summary.batchId = this.metadata.batchId;
+        }
+
+        // Stream cancellations name the stream they stop
+        if (this.metadata && this.metadata.streamId) {
+            summary.streamId = this.metadata.streamId;
+        }
+
+        if (this.notBefore !== undefined && this.notBefore !== null) {
+            summary.notBefore = this.notBefore < BLOCKCHAIN_CONFIG.LOCKTIME_THRESHOLD
+                ? `block #${this.notBefore}`
+                : new Date(this.notBefore).toISOString();
+        }
+
+        if (this.multisig) {
+            summary.signatures = `${(this.signatures || []).length} of ${this.multisig.threshold}`;
+        }
+
         return summary;
     }
 }
@@ -1,6 +1,7 @@
 import Blockchain from './core/Blockchain.js';
 import Transaction from './core/Transaction.js';
 import Wallet from './wallet/Wallet.js';
+import { loadGenesisSpec } from './core/Genesis.js';
 
 /**
  * EnergyAI Blockchain Demo
@@ -13,7 +14,12 @@ console.log('║     Energy Tokenization for AI Computation & Power        ║')
 console.log('╚════════════════════════════════════════════════════════════╝\n');
 
 // Initialize blockchain
-const energyAI = new Blockchain();
+// Demo oracle authorised to sign energy mints
+const oracle = new Wallet();
+const energyAI = new Blockchain({
+    genesis: { ...loadGenesisSpec(), issuers: [{ name: 'demo-oracle', address: oracle.getAddress() }] },
+    issuerKey: oracle.keyPair
+});
 console.log('✅ Blockchain initialized\n');
 
 // Create wallets
@@ -55,7 +61,6 @@ console.log(`   Base rate: 10 tokens/kWh × 1.5 renewable bonus = 15 tokens/kWh\
 energyAI.minePendingTransactions(minerWallet.getAddress(), {
     totalEnergyConsumed: 100,
     aiComputeUnits: 0,
-    carbonFootprint: 0, // Solar has zero carbon
     energySource: 'renewable',
     efficiencyScore: 95,
     aiWorkloadType: 'energy_tokenization'
@@ -95,7 +100,6 @@ console.log(`   Cost: ${computeTx.amount} EAI tokens\n`);
 energyAI.minePendingTransactions(minerWallet.getAddress(), {
     totalEnergyConsumed: 30,
     aiComputeUnits: 100,
-    carbonFootprint: 15, // 0.5 kg CO2 per kWh
     energySource: 'mixed',
     efficiencyScore: 70,
     aiWorkloadType: 'training'
@@ -110,18 +114,38 @@ console.log(`   User balance: ${energyAI.getBalanceOfAddress(userWallet.getAddre
 console.log('🌱 SCENARIO 3: Purchasing Carbon Credits');
 console.log('─────────────────────────────────────────────────────────');
 
-// AI company purchases carbon credits to offset emissions
-const carbonTx = energyAI.purchaseCarbonCredit(
-    aiCompanyWallet.getAddress(),
-    20 // Offset 20 kg CO2
-);
+// An offset project is registered and issued a serialised batch of credits
+const projectWallet = new Wallet();
+energyAI.registerCarbonProject('solar-cookstoves-1', projectWallet.getAddress(), {
+    name: 'Solar cookstoves',
+    methodology: 'VM0050',
+    country: 'KE'
+});
+energyAI.minePendingTransactions(minerWallet.getAddress());
+energyAI.issueCarbonCredits('solar-cookstoves-1', 2025, 100);
+energyAI.minePendingTransactions(minerWallet.getAddress());
+const [batch] = energyAI.getCarbonCredits(projectWallet.getAddress()).held;
 
-carbonTx.signTransaction(aiCompanyWallet.keyPair);
+// The miner buys 1 t CO2e from its block rewards and retires it for the AI company's training run
+const carbonTx = energyAI.purchaseCarbonCredit(minerWallet.getAddress(), batch.id, 1);
+carbonTx.signTransaction(minerWallet.keyPair);
 energyAI.addTransaction(carbonTx);
+energyAI.minePendingTransactions(minerWallet.getAddress());
+
+const [bought] = energyAI.getCarbonCredits(minerWallet.getAddress()).held;
+const retireTx = energyAI.retireCarbonCredits(
+    minerWallet.getAddress(),
+    bought.id,
+    1,
+    'AI Company',
+    'Offset emissions from AI training'
+);
+retireTx.signTransaction(minerWallet.keyPair);
+energyAI.addTransaction(retireTx);
 
-console.log(`   Carbon credits purchased: 20 kg CO2`);
+console.log(`   Carbon credits purchased: 1 t CO2e (serials ${bought.serialStart}-${bought.serialEnd} of ${batch.projectId})`);
 console.log(`   Cost: ${carbonTx.amount} EAI tokens`);
-console.log(`   Purpose: Offset emissions from AI training\n`);
+console.log(`   Retired for: AI Company (offset emissions from AI training)\n`);
 
 energyAI.minePendingTransactions(minerWallet.getAddress());
 
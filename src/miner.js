@@ -1,5 +1,9 @@
 import Blockchain from './core/Blockchain.js';
 import Wallet from './wallet/Wallet.js';
+import Keystore from './wallet/Keystore.js';
+import ChainStore from './storage/ChainStore.js';
+import { loadGenesisSpec } from './core/Genesis.js';
+import { loadCarbonIntensityTable } from './utils/CarbonIntensity.js';
 import readline from 'readline';
 
 /**
@@ -12,16 +16,43 @@ const rl = readline.createInterface({
     output: process.stdout
 });
 
-let blockchain = new Blockchain();
-let minerWallet = new Wallet();
-minerWallet.walletType = 'miner';
+const chainStore = new ChainStore(process.env.DATA_DIR || './data');
+let blockchain = new Blockchain({
+    genesis: process.env.GENESIS_FILE ? loadGenesisSpec(process.env.GENESIS_FILE) : undefined,
+    carbonIntensity: process.env.CARBON_INTENSITY_FILE ? loadCarbonIntensityTable(process.env.CARBON_INTENSITY_FILE) : undefined
+});
+
+try {
+    chainStore.load(blockchain);
+    chainStore.save(blockchain);
+} catch (error) {
+    const height = error.height !== undefined ? ` at height ${error.height}` : '';
+    console.error(`❌ Stored chain is corrupted${height}: ${error.message}`);
+    process.exit(1);
+}
+
+// Miner identity from the keystore, so rewards keep going to the same address
+let minerWallet;
+if (process.env.KEYSTORE_PASSWORD) {
+    try {
+        const keystore = new Keystore(process.env.KEYSTORE_DIR || './keystore');
+        minerWallet = keystore.loadOrCreate('miner', process.env.KEYSTORE_PASSWORD, 'miner');
+    } catch (error) {
+        console.error(`❌ Cannot load miner identity: ${error.message}`);
+        process.exit(1);
+    }
+} else {
+    console.warn('⚠️  KEYSTORE_PASSWORD not set: using a temporary miner identity');
+    minerWallet = new Wallet();
+    minerWallet.walletType = 'miner';
+}
 
 console.log('╔════════════════════════════════════════════════════════════╗');
 console.log('║           ⛏️  EnergyAI Blockchain Miner ⛏️                 ║');
 console.log('╚════════════════════════════════════════════════════════════╝\n');
 
-console.log(`Miner Address: ${minerWallet.getWalletId()}`);
-console.log(`Public Key: ${minerWallet.getAddress().substring(0, 30)}...\n`);
+console.log(`Miner ID: ${minerWallet.getWalletId()}`);
+console.log(`Address: ${minerWallet.getAddress()}\n`);
 
 function displayMenu() {
     console.log('\n═══════════════════════════════════════════════════════════');
@@ -44,28 +75,20 @@ function mineBlock(energySource, efficiencyScore) {
     const energyData = {
         totalEnergyConsumed: Math.random() * 10 + 5, // 5-15 kWh
         aiComputeUnits: Math.random() * 20 + 10, // 10-30 GPU hours
-        carbonFootprint: 0,
         energySource: energySource,
+        gridRegion: process.env.GRID_REGION, // Carbon footprint comes from the region's hourly intensity
         efficiencyScore: efficiencyScore,
         aiWorkloadType: 'mining'
     };
 
-    // Calculate carbon footprint based on energy source
-    if (energySource === 'renewable') {
-        energyData.carbonFootprint = 0;
-    } else if (energySource === 'mixed') {
-        energyData.carbonFootprint = energyData.totalEnergyConsumed * 0.5;
-    } else {
-        energyData.carbonFootprint = energyData.totalEnergyConsumed * 0.8;
-    }
-
     const startTime = Date.now();
     blockchain.minePendingTransactions(minerWallet.getAddress(), energyData);
+    chainStore.save(blockchain);
     const endTime = Date.now();
 
     console.log(`✅ Block mined in ${((endTime - startTime) / 1000).toFixed(2)}s`);
     console.log(`   Energy consumed: ${energyData.totalEnergyConsumed.toFixed(2)} kWh`);
-    console.log(`   Carbon footprint: ${energyData.carbonFootprint.toFixed(2)} kg CO2`);
+    console.log(`   Carbon footprint: ${blockchain.getLatestBlock().energyData.carbonFootprint.toFixed(2)} kg CO2`);
     console.log(`   Efficiency score: ${energyData.efficiencyScore}/100`);
     console.log(`   New balance: ${blockchain.getBalanceOfAddress(minerWallet.getAddress()).toFixed(2)} EAI`);
 }
@@ -147,6 +170,7 @@ function handleChoice(choice) {
             promptUser();
             break;
         case '8':
+            chainStore.writeSnapshot(blockchain);
             console.log('\n👋 Thanks for mining! Goodbye.\n');
             rl.close();
             process.exit(0);
@@ -0,0 +1,372 @@
+import WebSocket, { WebSocketServer } from 'ws';
+import Block from '../core/Block.js';
+import Transaction from '../core/Transaction.js';
+import { BLOCKCHAIN_CONFIG, P2P_MESSAGE_TYPES } from '../core/Constants.js';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isHeight = value => Number.isInteger(value) && value >= 0;
+
+function isBlockData(block) {
+    return isObject(block) &&
+        typeof block.hash === 'string' &&
+        typeof block.previousHash === 'string' &&
+        Array.isArray(block.transactions) &&
+        block.transactions.every(isObject) &&
+        isObject(block.energyData);
+}
+
+/**
+ * Check a message has the fields its handler reads
+ * @returns {string|null} What is wrong with the message, or null
+ */
+function checkMessage(message) {
+    if (!isObject(message)) {
+        return 'message is not an object';
+    }
+
+    switch (message.type) {
+        case P2P_MESSAGE_TYPES.STATUS:
+            return isHeight(message.height) ? null : 'status without a height';
+        case P2P_MESSAGE_TYPES.GET_BLOCKS:
+            return isHeight(message.from) ? null : 'get_blocks without a start height';
+        case P2P_MESSAGE_TYPES.BLOCKS:
+            return isHeight(message.from) && isHeight(message.height) &&
+                Array.isArray(message.blocks) && message.blocks.every(isBlockData)
+                ? null
+                : 'blocks without a start height, peer height and block list';
+        case P2P_MESSAGE_TYPES.NEW_BLOCK:
+            return isHeight(message.height) && isBlockData(message.block) ? null : 'new_block without a height and block';
+        case P2P_MESSAGE_TYPES.NEW_TRANSACTION:
+            return isObject(message.transaction) ? null : 'new_transaction without a transaction';
+        default:
+            return `unknown message type ${message.type}`;
+    }
+}
+
+/**
+ * P2PNetwork - WebSocket gossip layer between EnergyAI nodes
+ *
+ * - Connects to configured peers and accepts inbound connections
+ * - Drops peers on a different network id or genesis block
+ * - Gossips pending transactions and newly mined blocks
+ * - Requests missing blocks by height when a peer is ahead
+ * - Downloads a peer's full chain when it has forked from ours
+ * - Disconnects peers that send malformed messages
+ */
+class P2PNetwork {
+    constructor(blockchain, options = {}) {
+        this.blockchain = blockchain;
+        this.port = options.port || 6001;
+        this.peerUrls = options.peers || [];
+        this.reconnectInterval = options.reconnectInterval || BLOCKCHAIN_CONFIG.P2P_RECONNECT_INTERVAL;
+
+        this.sockets = new Set();
+        this.server = null;
+        this.closed = false;
+
+        // Gossip local activity to every connected peer
+        this.onBlock = (block) => this.broadcast({
+            type: P2P_MESSAGE_TYPES.NEW_BLOCK,
+            height: this.blockchain.chain.indexOf(block),
+            block
+        });
+        this.onTransaction = (transaction) => this.broadcast({
+            type: P2P_MESSAGE_TYPES.NEW_TRANSACTION,
+            transaction
+        });
+        this.onReorg = () => this.onBlock(this.blockchain.getLatestBlock());
+
+        this.blockchain.on('block', this.onBlock);
+        this.blockchain.on('transaction', this.onTransaction);
+        this.blockchain.on('reorg', this.onReorg);
+    }
+
+    /**
+     * Start listening and dial configured peers
+     */
+    listen() {
+        this.server = new WebSocketServer({ port: this.port });
+        this.server.on('connection', (socket) => this.initConnection(socket));
+
+        for (const url of this.peerUrls) {
+            this.connectToPeer(url);
+        }
+
+        console.log(`🌐 P2P listening on port ${this.port}`);
+    }
+
+    /**
+     * Dial a peer, retrying while the network is open
+     */
+    connectToPeer(url) {
+        const socket = new WebSocket(url);
+        socket.peerUrl = url;
+
+        socket.on('open', () => this.initConnection(socket));
+        socket.on('error', (error) => {
+            console.warn(`⚠️  Peer ${url} unreachable: ${error.message}`);
+        });
+        socket.on('close', () => {
+            if (!this.closed && !socket.incompatible) {
+                setTimeout(() => this.connectToPeer(url), this.reconnectInterval);
+            }
+        });
+    }
+
+    /**
+     * Register a socket and exchange chain status
+     */
+    initConnection(socket) {
+        this.sockets.add(socket);
+
+        socket.on('message', (data) => this.handleMessage(socket, data));
+        socket.on('close', () => this.sockets.delete(socket));
+
+        this.send(socket, this.statusMessage());
+    }
+
+    statusMessage() {
+        const tip = this.blockchain.getLatestBlock();
+        return {
+            type: P2P_MESSAGE_TYPES.STATUS,
+            networkId: this.blockchain.networkId,
+            genesisHash: this.blockchain.chain[0].hash,
+            height: this.blockchain.chain.length - 1,
+            latestHash: tip.hash
+        };
+    }
+
+    /**
+     * Dispatch an incoming message
+     * A peer whose message is malformed, or makes its handler fail, is disconnected
+     */
+    handleMessage(socket, data) {
+        if (socket.incompatible) {
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            this.dropPeer(socket, 'sent a message that is not JSON');
+            return;
+        }
+
+        const problem = checkMessage(message);
+        if (problem) {
+            this.dropPeer(socket, `sent a malformed message (${problem})`);
+            return;
+        }
+
+        try {
+            this.dispatch(socket, message);
+        } catch (error) {
+            this.dropPeer(socket, `sent a ${message.type} message that failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    dispatch(socket, message) {
+        switch (message.type) {
+            case P2P_MESSAGE_TYPES.STATUS:
+                this.handleStatus(socket, message);
+                break;
+            case P2P_MESSAGE_TYPES.GET_BLOCKS:
+                this.handleGetBlocks(socket, message);
+                break;
+            case P2P_MESSAGE_TYPES.BLOCKS:
+                this.handleBlocks(socket, message);
+                break;
+            case P2P_MESSAGE_TYPES.NEW_BLOCK:
+                this.handleNewBlock(socket, message);
+                break;
+            case P2P_MESSAGE_TYPES.NEW_TRANSACTION:
+                this.handleNewTransaction(message);
+                break;
+        }
+    }
+
+    /**
+     * Disconnect a peer and do not redial it
+     */
+    dropPeer(socket, reason) {
+        console.warn(`⚠️  Disconnecting peer: ${reason}`);
+        this.sockets.delete(socket);
+        socket.incompatible = true;
+        socket.close();
+    }
+
+    handleStatus(socket, message) {
+        if (message.networkId !== this.blockchain.networkId || message.genesisHash !== this.blockchain.chain[0].hash) {
+            this.dropPeer(socket, `on network ${message.networkId} with genesis ${message.genesisHash}`);
+            return;
+        }
+
+        if (message.height >= this.blockchain.chain.length) {
+            this.requestBlocks(socket, this.blockchain.chain.length);
+        }
+    }
+
+    handleGetBlocks(socket, message) {
+        const from = Math.max(0, message.from);
+        const blocks = this.blockchain.chain.slice(from, from + BLOCKCHAIN_CONFIG.P2P_MAX_BLOCKS_PER_MESSAGE);
+
+        this.send(socket, {
+            type: P2P_MESSAGE_TYPES.BLOCKS,
+            from,
+            height: this.blockchain.chain.length - 1,
+            blocks
+        });
+    }
+
+    handleBlocks(socket, message) {
+        if (socket.candidateChain) {
+            this.collectChain(socket, message);
+            return;
+        }
+
+        for (let i = 0; i < message.blocks.length; i++) {
+            const height = message.from + i;
+            if (height < this.blockchain.chain.length) {
+                continue;
+            }
+
+            if (!this.appendBlock(socket, message.blocks[i], height)) {
+                return;
+            }
+        }
+
+        // Keep syncing while the peer is still ahead
+        if (message.height >= this.blockchain.chain.length && message.blocks.length > 0) {
+            this.requestBlocks(socket, this.blockchain.chain.length);
+        }
+    }
+
+    handleNewBlock(socket, message) {
+        const localLength = this.blockchain.chain.length;
+
+        if (message.height === localLength) {
+            this.appendBlock(socket, message.block, message.height);
+        } else if (message.height > localLength) {
+            this.requestBlocks(socket, localLength);
+        }
+    }
+
+    handleNewTransaction(message) {
+        try {
+            this.blockchain.addTransaction(Transaction.fromJSON(message.transaction));
+        } catch (error) {
+            // Duplicates and invalid gossip are expected; nothing to relay
+        }
+    }
+
+    /**
+     * Validate and append a block received from a peer
+     * A block that doesn't link to our tip means the peer has forked
+     * @returns {boolean} Whether the block was appended
+     */
+    appendBlock(socket, data, height) {
+        if (data.previousHash !== this.blockchain.getLatestBlock().hash) {
+            this.requestChain(socket);
+            return false;
+        }
+
+        try {
+            this.blockchain.addBlock(Block.fromJSON(data));
+            return true;
+        } catch (error) {
+            console.warn(`⚠️  Rejected block #${height} from peer: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Start downloading a peer's full chain for fork choice
+     */
+    requestChain(socket) {
+        if (socket.candidateChain) {
+            return;
+        }
+
+        socket.candidateChain = [];
+        this.requestBlocks(socket, 0);
+    }
+
+    /**
+     * Accumulate a peer's chain page by page, then offer it for replacement
+     */
+    collectChain(socket, message) {
+        if (message.from !== socket.candidateChain.length) {
+            socket.candidateChain = null;
+            return;
+        }
+
+        try {
+            socket.candidateChain.push(...message.blocks.map(block => Block.fromJSON(block)));
+        } catch (error) {
+            socket.candidateChain = null;
+            return;
+        }
+
+        if (socket.candidateChain.length <= message.height && message.blocks.length > 0) {
+            this.requestBlocks(socket, socket.candidateChain.length);
+            return;
+        }
+
+        const candidate = socket.candidateChain;
+        socket.candidateChain = null;
+
+        try {
+            this.blockchain.replaceChain(candidate);
+        } catch (error) {
+            console.warn(`⚠️  Kept local chain: ${error.message}`);
+        }
+    }
+
+    requestBlocks(socket, from) {
+        this.send(socket, { type: P2P_MESSAGE_TYPES.GET_BLOCKS, from });
+    }
+
+    send(socket, message) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    broadcast(message) {
+        for (const socket of this.sockets) {
+            this.send(socket, message);
+        }
+    }
+
+    /**
+     * List connected peers
+     */
+    getPeers() {
+        return [...this.sockets].map(socket => socket.peerUrl || socket._socket?.remoteAddress || 'unknown');
+    }
+
+    /**
+     * Close every connection and stop listening
+     */
+    close() {
+        this.closed = true;
+        this.blockchain.off('block', this.onBlock);
+        this.blockchain.off('transaction', this.onTransaction);
+        this.blockchain.off('reorg', this.onReorg);
+
+        for (const socket of this.sockets) {
+            socket.terminate();
+        }
+        this.sockets.clear();
+
+        if (this.server) {
+            this.server.close();
+        }
+    }
+}
+
+export default P2PNetwork;
@@ -1,8 +1,17 @@
+import crypto from 'crypto';
 import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import Blockchain from './core/Blockchain.js';
 import Transaction from './core/Transaction.js';
 import Wallet from './wallet/Wallet.js';
+import Keystore from './wallet/Keystore.js';
+import ChainStore from './storage/ChainStore.js';
+import P2PNetwork from './network/P2PNetwork.js';
+import { loadGenesisSpec } from './core/Genesis.js';
+import { loadCarbonIntensityTable } from './utils/CarbonIntensity.js';
 import secretManager from './config/secrets.js';
+import { TRANSACTION_TYPES } from './core/Constants.js';
 import BudgetMonitor from './config/budgetMonitor.js';
 import dotenv from 'dotenv';
 
@@ -27,6 +36,9 @@ app.use(express.json());
 let budgetMonitor;
 let config;
 
+// Bearer token callers need before this node signs anything as an issuer
+let issuerApiToken = null;
+
 async function initializeServer() {
     try {
         // Load configuration from Secret Manager
@@ -52,6 +64,36 @@ async function initializeServer() {
             process.exit(1);
         });
 
+        // Oracle key for signing energy mints (only on issuer nodes)
+        const issuerSigningKey = await secretManager.getSecret('ISSUER_SIGNING_KEY');
+        if (issuerSigningKey) {
+            const issuerWallet = new Wallet(issuerSigningKey);
+            if (!blockchain.issuers.has(issuerWallet.address)) {
+                // Minting would fail on every request, so refuse to start instead
+                console.error(`❌ ISSUER_SIGNING_KEY belongs to ${issuerWallet.address}, which is not listed under "issuers" in the genesis spec`);
+                console.error('   Add it to the genesis file (GENESIS_FILE) used by every node, or unset ISSUER_SIGNING_KEY');
+                process.exit(1);
+            }
+            blockchain.setIssuerKey(issuerWallet.keyPair);
+            console.log('✅ Issuer key loaded');
+
+            issuerApiToken = await secretManager.getSecret('ISSUER_API_TOKEN');
+            if (!issuerApiToken) {
+                console.warn('⚠️  ISSUER_API_TOKEN not set; this node only relays pre-signed mints and will not sign any');
+            }
+        } else if (blockchain.issuers.size === 0) {
+            console.warn('⚠️  The genesis spec lists no issuers, so no node on this network can tokenize energy');
+        } else {
+            console.warn('⚠️  ISSUER_SIGNING_KEY not set; /energy/tokenize is disabled on this node');
+        }
+
+        // Validator key for signing blocks on proof-of-stake networks
+        const validatorSigningKey = await secretManager.getSecret('VALIDATOR_SIGNING_KEY');
+        if (validatorSigningKey) {
+            blockchain.setValidatorKey(new Wallet(validatorSigningKey).keyPair);
+            console.log('✅ Validator key loaded');
+        }
+
         console.log('✅ Secret Manager initialized');
         console.log('✅ Budget Monitor initialized');
 
@@ -71,14 +113,55 @@ async function initializeServer() {
 }
 
 const PORT = process.env.PORT || 3000;
+const P2P_PORT = process.env.P2P_PORT || 6001;
+const PEERS = process.env.PEERS ? process.env.PEERS.split(',').map(peer => peer.trim()).filter(Boolean) : [];
+
+// Initialize blockchain from disk and node wallet
+const chainStore = new ChainStore(process.env.DATA_DIR || './data');
+const blockchain = new Blockchain({
+    genesis: process.env.GENESIS_FILE ? loadGenesisSpec(process.env.GENESIS_FILE) : undefined,
+    carbonIntensity: process.env.CARBON_INTENSITY_FILE ? loadCarbonIntensityTable(process.env.CARBON_INTENSITY_FILE) : undefined
+});
+
+try {
+    chainStore.load(blockchain);
+    chainStore.save(blockchain);
+} catch (error) {
+    const height = error.height !== undefined ? ` at height ${error.height}` : '';
+    console.error(`❌ Stored chain is corrupted${height}: ${error.message}`);
+    process.exit(1);
+}
+
+// Persist every block, whether mined here or received from a peer
+blockchain.on('block', () => chainStore.save(blockchain));
+blockchain.on('reorg', () => chainStore.save(blockchain));
+
+const p2p = new P2PNetwork(blockchain, { port: P2P_PORT, peers: PEERS });
+
+// Multisig spends collecting co-signatures, by transaction hash (not persisted)
+const multisigProposals = new Map();
+
+// Node identity, loaded from the keystore once secrets are available
+let nodeWallet;
+
+/**
+ * Load the node wallet from KEYSTORE_DIR, creating it on first run
+ * Without KEYSTORE_PASSWORD the node runs with a throwaway identity
+ */
+async function loadNodeWallet() {
+    const password = await secretManager.getSecret('KEYSTORE_PASSWORD');
+    if (!password) {
+        console.warn('⚠️  KEYSTORE_PASSWORD not set: using a temporary node identity (rewards go to a new address each run)');
+        const wallet = new Wallet();
+        wallet.walletType = 'node';
+        return wallet;
+    }
 
-// Initialize blockchain and node wallet
-const blockchain = new Blockchain();
-const nodeWallet = new Wallet();
-nodeWallet.walletType = 'node';
+    const keystore = new Keystore(process.env.KEYSTORE_DIR || './keystore');
+    return keystore.loadOrCreate('node', password, 'node');
+}
 
 console.log('🚀 Starting EnergyAI Blockchain Node...');
-console.log(`Node Address: ${nodeWallet.getWalletId()}\n`);
 
 // ============================================
 // MIDDLEWARE
@@ -107,6 +190,23 @@ app.use((req, res, next) => {
     next();
 });
 
+/**
+ * Guard for routes where this node signs as an issuer (mints, meter registrations)
+ * Callers must send `Authorization: Bearer <ISSUER_API_TOKEN>`
+ */
+function requireIssuerToken(req, res, next) {
+    const supplied = Buffer.from(req.get('Authorization') || '');
+    const expected = Buffer.from(`Bearer ${issuerApiToken}`);
+
+    if (!issuerApiToken || supplied.length !== expected.length || !crypto.timingSafeEqual(supplied, expected)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Issuer API token required to have this node sign as an issuer'
+        });
+    }
+    next();
+}
+
 // ============================================
 // API ENDPOINTS
 // ============================================
@@ -161,7 +261,11 @@ app.get('/balance/:address', (req, res) => {
     res.json({
         success: true,
         address: req.params.address,
-        balance: balance
+        balance: balance,
+        pendingOutflow: blockchain.getPendingOutflow(req.params.address).amount,
+        availableBalance: blockchain.getAvailableBalance(req.params.address),
+        certificates: blockchain.getCertificates(req.params.address),
+        carbonCredits: blockchain.getCarbonCredits(req.params.address)
     });
 });
 
@@ -174,7 +278,45 @@ app.get('/transactions/:address', (req, res) => {
     res.json({
         success: true,
         address: req.params.address,
-        transactions: transactions.map(tx => tx.getSummary())
+        transactions: transactions.map(tx => tx.getSummary()),
+        certificates: blockchain.getCertificates(req.params.address),
+        carbonCredits: blockchain.getCarbonCredits(req.params.address)
+    });
+});
+
+/**
+ * GET /mempool
+ * Get pending pool size and fee histogram; ?address= lists that address's queued
+ * and time-locked transactions
+ */
+app.get('/mempool', (req, res) => {
+    const { address } = req.query;
+
+    res.json({
+        success: true,
+        mempool: blockchain.mempool.getStats(),
+        scheduledCount: blockchain.scheduledPool.size,
+        address: address || null,
+        transactions: address
+            ? blockchain.mempool.getForAddress(address).map(tx => tx.getSummary())
+            : [],
+        scheduled: address
+            ? blockchain.getScheduledTransactions(address).map(tx => tx.getSummary())
+            : []
+    });
+});
+
+/**
+ * GET /nonce/:address
+ * Get the confirmed nonce and the nonce the next transaction must use
+ */
+app.get('/nonce/:address', (req, res) => {
+    res.json({
+        success: true,
+        address: req.params.address,
+        nonce: blockchain.getNonce(req.params.address),
+        nextNonce: blockchain.getNextNonce(req.params.address),
+        nextScheduledNonce: blockchain.getNextNonce(req.params.address, true)
     });
 });
 
@@ -184,7 +326,7 @@ app.get('/transactions/:address', (req, res) => {
  */
 app.post('/transaction/create', (req, res) => {
     try {
-        const { fromAddress, toAddress, amount, type, metadata } = req.body;
+        const { fromAddress, toAddress, amount, type, metadata, nonce, fee, notBefore } = req.body;
 
         const transaction = new Transaction(
             fromAddress,
@@ -193,6 +335,14 @@ app.post('/transaction/create', (req, res) => {
             type || 'transfer',
             metadata || {}
         );
+        // Time-locked transactions take their own nonce sequence
+        transaction.nonce = nonce !== undefined ? nonce : blockchain.getNextNonce(fromAddress, notBefore !== undefined);
+        if (fee !== undefined) {
+            transaction.fee = fee;
+        }
+        if (notBefore !== undefined) {
+            transaction.notBefore = notBefore; // Block height, or timestamp in ms
+        }
 
         res.json({
             success: true,
@@ -215,18 +365,19 @@ app.post('/transaction/submit', (req, res) => {
     try {
         const { transaction } = req.body;
 
-        // Recreate transaction object
-        const tx = new Transaction(
-            transaction.fromAddress,
-            transaction.toAddress,
-            transaction.amount,
-            transaction.transactionType,
-            transaction.metadata
-        );
-        tx.signature = transaction.signature;
+        // Recreate transaction object exactly as it was signed
+        const tx = Transaction.fromJSON(transaction);
 
         blockchain.addTransaction(tx);
 
+        if (blockchain.scheduledPool.has(tx.calculateHash())) {
+            return res.json({
+                success: true,
+                message: `Transaction scheduled for ${tx.getSummary().notBefore}`,
+                scheduledCount: blockchain.scheduledPool.size
+            });
+        }
+
         res.json({
             success: true,
             message: 'Transaction added to pending pool',
@@ -250,7 +401,7 @@ app.post('/mine', (req, res) => {
 
         const address = minerAddress || nodeWallet.getAddress();
 
-        blockchain.minePendingTransactions(address, energyData || {});
+        blockchain.minePendingTransactions(address, { gridRegion: process.env.GRID_REGION, ...energyData });
 
         res.json({
             success: true,
@@ -269,16 +420,23 @@ app.post('/mine', (req, res) => {
 
 /**
  * POST /energy/tokenize
- * Tokenize energy
+ * Tokenize energy: relay a mint an issuer already signed (`transaction`), or
+ * have this node sign one (needs the issuer API token)
  */
-app.post('/energy/tokenize', (req, res) => {
+app.post('/energy/tokenize', (req, res, next) => {
+    if (req.body.transaction) {
+        return relaySignedMint(req, res);
+    }
+    requireIssuerToken(req, res, next);
+}, (req, res) => {
     try {
-        const { providerAddress, energyAmount, energySource } = req.body;
+        const { providerAddress, energyAmount, energySource, gridRegion } = req.body;
 
         const tokens = blockchain.tokenizeEnergy(
             providerAddress,
             energyAmount,
-            energySource || 'mixed'
+            energySource || 'mixed',
+            gridRegion ? { gridRegion } : {}
         );
 
         res.json({
@@ -297,24 +455,47 @@ app.post('/energy/tokenize', (req, res) => {
 });
 
 /**
- * POST /compute/allocate
- * Allocate compute resources
+ * Add an issuer-signed energy mint sent by a client
+ * The blockchain checks the issuer is authorised and the signature is valid
  */
-app.post('/compute/allocate', (req, res) => {
+function relaySignedMint(req, res) {
     try {
-        const { fromAddress, toAddress, computeUnits, aiWorkloadType } = req.body;
+        const tx = Transaction.fromJSON(req.body.transaction);
+        if (tx.fromAddress !== null || tx.transactionType !== TRANSACTION_TYPES.ENERGY_TRADE) {
+            throw new Error('Only an issuer-signed energy mint can be submitted here');
+        }
 
-        const transaction = blockchain.allocateCompute(
-            fromAddress,
-            toAddress,
-            computeUnits,
-            aiWorkloadType || 'general'
-        );
+        blockchain.addTransaction(tx);
 
         res.json({
             success: true,
-            message: 'Compute allocation created (needs to be signed and submitted)',
-            transaction: transaction.getSummary()
+            message: 'Issuer-signed mint added to pending pool',
+            energyAmount: tx.metadata.energyAmount,
+            tokensGenerated: tx.amount,
+            energySource: tx.metadata.energySource
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * POST /meter/register
+ * Register an energy meter (issuer nodes only; needs the issuer API token)
+ */
+app.post('/meter/register', requireIssuerToken, (req, res) => {
+    try {
+        const { meterId, meterKey, providerAddress, energySource, initialKWh, location } = req.body;
+
+        blockchain.registerMeter(meterId, meterKey, providerAddress, energySource || 'mixed', initialKWh || 0, location);
+
+        res.json({
+            success: true,
+            message: 'Meter registration added to pending pool (active once mined)',
+            meterId
         });
     } catch (error) {
         res.status(400).json({
@@ -325,21 +506,50 @@ app.post('/compute/allocate', (req, res) => {
 });
 
 /**
- * POST /carbon/purchase
- * Purchase carbon credits
+ * POST /meter/reading
+ * Tokenize the energy measured since the meter's previous reading
  */
-app.post('/carbon/purchase', (req, res) => {
+app.post('/meter/reading', (req, res) => {
+    try {
+        const { reading } = req.body;
+
+        const { energyAmount, tokens } = blockchain.tokenizeMeterReading(reading);
+
+        res.json({
+            success: true,
+            message: 'Meter reading verified and tokenized',
+            meterId: reading.meterId,
+            cumulativeKWh: reading.cumulativeKWh,
+            energyAmount,
+            tokensGenerated: tokens
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /compute/allocate
+ * Allocate compute resources
+ */
+app.post('/compute/allocate', (req, res) => {
     try {
-        const { fromAddress, carbonAmount } = req.body;
+        const { fromAddress, toAddress, computeUnits, aiWorkloadType, gridRegion } = req.body;
 
-        const transaction = blockchain.purchaseCarbonCredit(
+        const transaction = blockchain.allocateCompute(
             fromAddress,
-            carbonAmount
+            toAddress,
+            computeUnits,
+            aiWorkloadType || 'general',
+            gridRegion
         );
 
         res.json({
             success: true,
-            message: 'Carbon credit purchase created (needs to be signed and submitted)',
+            message: 'Compute allocation created (needs to be signed and submitted)',
             transaction: transaction.getSummary()
         });
     } catch (error) {
@@ -351,126 +561,980 @@ app.post('/carbon/purchase', (req, res) => {
 });
 
 /**
- * GET /leaderboard
- * Get energy provider leaderboard
+ * GET /compute/jobs
+ * List compute jobs (?status=open|escrowed|delivered|released|refunded|cancelled&address=)
  */
-app.get('/leaderboard', (req, res) => {
+app.get('/compute/jobs', (req, res) => {
+    const { status, address } = req.query;
+
     res.json({
         success: true,
-        leaderboard: blockchain.getEnergyLeaderboard()
+        jobs: blockchain.getComputeJobs({ status, address })
     });
 });
 
 /**
- * POST /wallet/create
- * Create a new wallet
+ * GET /compute/jobs/:id
+ * Get a compute job with its bids, escrow and result
  */
-app.post('/wallet/create', (req, res) => {
-    const wallet = new Wallet();
-    wallet.walletType = req.body.walletType || 'standard';
+app.get('/compute/jobs/:id', (req, res) => {
+    const job = blockchain.computeMarket.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: 'Compute job not found'
+        });
+    }
 
     res.json({
         success: true,
-        wallet: wallet.export()
+        job
     });
 });
 
 /**
- * GET /validate
- * Validate the blockchain
+ * POST /compute/jobs
+ * Post a compute job for providers to bid on
  */
-app.get('/validate', (req, res) => {
-    const isValid = blockchain.isChainValid();
+app.post('/compute/jobs', (req, res) => {
+    try {
+        const { buyerAddress, computeUnits, budget, aiWorkloadType, deliveryBlocks, disputeBlocks } = req.body;
 
-    res.json({
-        success: true,
-        isValid: isValid,
-        message: isValid ? 'Blockchain is valid' : 'Blockchain is corrupted'
-    });
+        const transaction = blockchain.postComputeJob(
+            buyerAddress,
+            computeUnits,
+            budget,
+            aiWorkloadType || 'general',
+            {
+                ...(deliveryBlocks ? { deliveryBlocks } : {}),
+                ...(disputeBlocks ? { disputeBlocks } : {})
+            }
+        );
+
+        res.json({
+            success: true,
+            message: 'Compute job created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
 /**
- * GET /block/:index
- * Get a specific block
+ * POST /compute/jobs/:id/bids
+ * Bid on an open compute job
  */
-app.get('/block/:index', (req, res) => {
-    const index = parseInt(req.params.index);
+app.post('/compute/jobs/:id/bids', (req, res) => {
+    try {
+        const { providerAddress, price } = req.body;
 
-    if (index < 0 || index >= blockchain.chain.length) {
-        return res.status(404).json({
+        const transaction = blockchain.bidOnComputeJob(providerAddress, req.params.id, price);
+
+        res.json({
+            success: true,
+            message: 'Bid created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
             success: false,
-            error: 'Block not found'
+            error: error.message
         });
     }
-
-    res.json({
-        success: true,
-        block: blockchain.chain[index].getSummary()
-    });
 });
 
 /**
- * GET /
- * API information
+ * POST /compute/jobs/:id/accept
+ * Accept a bid and lock its price in escrow
  */
-app.get('/', (req, res) => {
-    res.json({
-        name: 'EnergyAI Blockchain Node',
-        version: '1.0.0',
-        description: 'Energy token blockchain for AI computation and compute power',
-        endpoints: {
-            'GET /': 'API information',
-            'GET /blockchain': 'Get entire blockchain',
-            'GET /stats': 'Get blockchain statistics',
-            'GET /balance/:address': 'Get balance for address',
-            'GET /transactions/:address': 'Get transactions for address',
-            'GET /block/:index': 'Get specific block',
-            'GET /leaderboard': 'Get energy provider leaderboard',
-            'GET /validate': 'Validate blockchain',
-            'POST /transaction/create': 'Create new transaction',
-            'POST /transaction/submit': 'Submit signed transaction',
-            'POST /mine': 'Mine pending transactions',
-            'POST /energy/tokenize': 'Tokenize energy',
-            'POST /compute/allocate': 'Allocate compute resources',
-            'POST /carbon/purchase': 'Purchase carbon credits',
-            'POST /wallet/create': 'Create new wallet'
-        },
-        nodeAddress: nodeWallet.getAddress(),
-        nodeId: nodeWallet.getWalletId()
-    });
+app.post('/compute/jobs/:id/accept', (req, res) => {
+    try {
+        const { buyerAddress, bidId } = req.body;
+
+        const transaction = blockchain.acceptComputeBid(buyerAddress, req.params.id, bidId);
+
+        res.json({
+            success: true,
+            message: 'Escrow created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
-// Start server
-async function startServer() {
-    // Initialize security features
-    await initializeServer();
+/**
+ * POST /compute/jobs/:id/result
+ * Deliver a job result with its compute proof
+ */
+app.post('/compute/jobs/:id/result', (req, res) => {
+    try {
+        const { providerAddress, resultHash, computeProof } = req.body;
 
-    app.listen(PORT, () => {
-        console.log(`✅ EnergyAI Blockchain Node running on port ${PORT}`);
-        console.log(`📡 API endpoint: http://localhost:${PORT}`);
-        console.log(`🔗 Node ID: ${nodeWallet.getWalletId()}\n`);
+        const transaction = blockchain.submitComputeResult(providerAddress, req.params.id, resultHash, computeProof);
 
-        console.log('🔐 Security Features:');
-        console.log(`   Secret Manager: ${config.secretProvider || 'env'}`);
-        console.log(`   Budget Monitor: Enabled`);
-        console.log(`   Daily Limit: $${budgetMonitor.maxDailySpend}`);
-        console.log(`   Monthly Limit: $${budgetMonitor.maxMonthlySpend}\n`);
+        res.json({
+            success: true,
+            message: 'Result created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-        console.log('Available endpoints:');
-        console.log(`   GET  http://localhost:${PORT}/`);
-        console.log(`   GET  http://localhost:${PORT}/stats`);
-        console.log(`   GET  http://localhost:${PORT}/budget`);
-        console.log(`   GET  http://localhost:${PORT}/blockchain`);
-        console.log(`   POST http://localhost:${PORT}/mine`);
-        console.log(`   POST http://localhost:${PORT}/energy/tokenize`);
-        console.log(`   ... and more!\n`);
-    });
-}
+/**
+ * POST /compute/jobs/:id/release
+ * Release escrow to the provider of a delivered job
+ */
+app.post('/compute/jobs/:id/release', (req, res) => {
+    try {
+        const { fromAddress } = req.body;
 
-// Start the server
-startServer().catch(error => {
-    console.error('Failed to start server:', error);
-    process.exit(1);
+        const transaction = blockchain.releaseComputeEscrow(fromAddress, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Escrow release created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
 });
 
+/**
+ * POST /compute/jobs/:id/refund
+ * Cancel an open job or refund one past its deadline
+ */
+app.post('/compute/jobs/:id/refund', (req, res) => {
+    try {
+        const { buyerAddress } = req.body;
+
+        const transaction = blockchain.refundComputeJob(buyerAddress, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Refund created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /compute/jobs/:id/dispute
+ * Dispute a delivered job within its review period
+ */
+app.post('/compute/jobs/:id/dispute', (req, res) => {
+    try {
+        const { buyerAddress, reason } = req.body;
+
+        const transaction = blockchain.disputeComputeJob(buyerAddress, req.params.id, reason || '');
+
+        res.json({
+            success: true,
+            message: 'Dispute created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /compute/jobs/:id/evidence
+ * Post evidence on a disputed job
+ */
+app.post('/compute/jobs/:id/evidence', (req, res) => {
+    try {
+        const { fromAddress, evidence } = req.body;
+
+        const transaction = blockchain.postDisputeEvidence(fromAddress, req.params.id, evidence);
+
+        res.json({
+            success: true,
+            message: 'Evidence created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /compute/jobs/:id/vote
+ * Vote the provider's share of a disputed escrow (arbiters)
+ */
+app.post('/compute/jobs/:id/vote', (req, res) => {
+    try {
+        const { arbiterAddress, providerShare } = req.body;
+
+        const transaction = blockchain.voteOnDispute(arbiterAddress, req.params.id, providerShare);
+
+        res.json({
+            success: true,
+            message: 'Vote created (needs to be signed and submitted)',
+            transaction
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /disputes/:address
+ * Get disputes an address was the buyer, provider or an arbiter of
+ */
+app.get('/disputes/:address', (req, res) => {
+    res.json({
+        success: true,
+        address: req.params.address,
+        disputes: blockchain.getDisputes(req.params.address)
+    });
+});
+
+/**
+ * GET /carbon/intensity
+ * Grid carbon intensity for a region and time (?region=&timestamp=)
+ */
+app.get('/carbon/intensity', (req, res) => {
+    const table = blockchain.carbonIntensity;
+    const region = req.query.region || table.defaultRegion;
+    const timestamp = req.query.timestamp ? Number(req.query.timestamp) : Date.now();
+
+    res.json({
+        success: true,
+        region: table.regions[region] ? region : table.defaultRegion,
+        timestamp,
+        gramsPerKWh: table.getIntensity(region, timestamp),
+        regions: table.getRegions()
+    });
+});
+
+/**
+ * GET /carbon/projects
+ * List registered carbon offset projects
+ */
+app.get('/carbon/projects', (req, res) => {
+    res.json({
+        success: true,
+        projects: blockchain.carbonRegistry.getProjects()
+    });
+});
+
+/**
+ * GET /carbon/credits/:address
+ * Carbon credit batches held and retired by an address
+ */
+app.get('/carbon/credits/:address', (req, res) => {
+    res.json({
+        success: true,
+        address: req.params.address,
+        ...blockchain.getCarbonCredits(req.params.address)
+    });
+});
+
+/**
+ * POST /carbon/projects
+ * Register a carbon offset project (issuer nodes only)
+ */
+app.post('/carbon/projects', (req, res) => {
+    try {
+        const { projectId, ownerAddress, name, methodology, country } = req.body;
+
+        blockchain.registerCarbonProject(projectId, ownerAddress, { name, methodology, country });
+
+        res.json({
+            success: true,
+            message: 'Carbon project registration added to pending pool (active once mined)',
+            projectId
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /carbon/issue
+ * Issue a serialised batch of carbon credits to a project (issuer nodes only)
+ */
+app.post('/carbon/issue', (req, res) => {
+    try {
+        const { projectId, vintage, quantity } = req.body;
+
+        blockchain.issueCarbonCredits(projectId, vintage, quantity);
+
+        res.json({
+            success: true,
+            message: 'Carbon credit issuance added to pending pool (active once mined)',
+            projectId
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /carbon/purchase
+ * Buy credits (tonnes CO2e) from a batch held by its project
+ */
+app.post('/carbon/purchase', (req, res) => {
+    try {
+        const { fromAddress, batchId, quantity } = req.body;
+
+        const transaction = blockchain.purchaseCarbonCredit(fromAddress, batchId, quantity);
+
+        res.json({
+            success: true,
+            message: 'Carbon credit purchase created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /carbon/transfer
+ * Transfer carbon credits to another wallet
+ */
+app.post('/carbon/transfer', (req, res) => {
+    try {
+        const { fromAddress, toAddress, batchId, quantity } = req.body;
+
+        const transaction = blockchain.transferCarbonCredits(fromAddress, toAddress, batchId, quantity);
+
+        res.json({
+            success: true,
+            message: 'Carbon credit transfer created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /carbon/retire
+ * Permanently retire carbon credits for a beneficiary
+ */
+app.post('/carbon/retire', (req, res) => {
+    try {
+        const { fromAddress, batchId, quantity, beneficiary, reason } = req.body;
+
+        const transaction = blockchain.retireCarbonCredits(fromAddress, batchId, quantity, beneficiary, reason);
+
+        res.json({
+            success: true,
+            message: 'Carbon credit retirement created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /multisig/accounts
+ * Create (and optionally fund) an M-of-N multisig account
+ */
+app.post('/multisig/accounts', (req, res) => {
+    try {
+        const { creatorAddress, threshold, members, amount } = req.body;
+
+        const transaction = blockchain.createMultisigAccount(creatorAddress, threshold, members, amount || 0);
+
+        res.json({
+            success: true,
+            message: 'Multisig account created (needs to be signed and submitted)',
+            address: transaction.toAddress,
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /multisig/accounts/:address
+ * Get a multisig account's members and threshold
+ */
+app.get('/multisig/accounts/:address', (req, res) => {
+    const account = blockchain.getMultisigAccount(req.params.address);
+
+    if (!account) {
+        return res.status(404).json({
+            success: false,
+            error: 'Multisig account not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        account,
+        balance: blockchain.getBalanceOfAddress(req.params.address)
+    });
+});
+
+// Proposal as returned to co-signers: they sign `hash` after checking `transaction`
+function describeProposal(id, transaction) {
+    return {
+        id,
+        hash: transaction.calculateHash(),
+        transaction,
+        signers: transaction.getMultisigSigners(),
+        required: transaction.multisig.threshold
+    };
+}
+
+/**
+ * POST /multisig/proposals
+ * Propose a spend from a multisig account for its members to co-sign
+ */
+app.post('/multisig/proposals', (req, res) => {
+    try {
+        const { fromAddress, toAddress, amount, type, metadata } = req.body;
+
+        const transaction = blockchain.proposeMultisigTransaction(
+            fromAddress,
+            toAddress,
+            amount,
+            type || 'transfer',
+            metadata || {}
+        );
+        const id = transaction.calculateHash();
+        multisigProposals.set(id, transaction);
+
+        res.json({
+            success: true,
+            message: 'Multisig transaction proposed (needs co-signing and submitting)',
+            proposal: describeProposal(id, transaction)
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /multisig/proposals/:id
+ * Get a proposal and the members who have signed it
+ */
+app.get('/multisig/proposals/:id', (req, res) => {
+    const transaction = multisigProposals.get(req.params.id);
+
+    if (!transaction) {
+        return res.status(404).json({
+            success: false,
+            error: 'Multisig proposal not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        proposal: describeProposal(req.params.id, transaction)
+    });
+});
+
+/**
+ * POST /multisig/proposals/:id/sign
+ * Add a member's signature over the proposal hash
+ */
+app.post('/multisig/proposals/:id/sign', (req, res) => {
+    const transaction = multisigProposals.get(req.params.id);
+
+    if (!transaction) {
+        return res.status(404).json({
+            success: false,
+            error: 'Multisig proposal not found'
+        });
+    }
+
+    try {
+        const signer = transaction.addMultisigSignature(req.body.signature);
+
+        res.json({
+            success: true,
+            message: `Signed by ${signer}`,
+            proposal: describeProposal(req.params.id, transaction)
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /multisig/proposals/:id/submit
+ * Submit a proposal once enough members have signed it
+ */
+app.post('/multisig/proposals/:id/submit', (req, res) => {
+    const transaction = multisigProposals.get(req.params.id);
+
+    if (!transaction) {
+        return res.status(404).json({
+            success: false,
+            error: 'Multisig proposal not found'
+        });
+    }
+
+    try {
+        blockchain.addTransaction(transaction);
+        multisigProposals.delete(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Transaction added to pending pool',
+            pendingCount: blockchain.pendingTransactions.length
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /streams/:address
+ * Get payment streams an address pays into or receives from
+ */
+app.get('/streams/:address', (req, res) => {
+    res.json({
+        success: true,
+        address: req.params.address,
+        streams: blockchain.getPaymentStreams(req.params.address)
+    });
+});
+
+/**
+ * POST /streams
+ * Open a recurring payment stream funded by a deposit
+ */
+app.post('/streams', (req, res) => {
+    try {
+        const { fromAddress, toAddress, amountPerInterval, interval, deposit } = req.body;
+
+        const transaction = blockchain.openPaymentStream(fromAddress, toAddress, amountPerInterval, interval, deposit);
+
+        res.json({
+            success: true,
+            message: 'Payment stream created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /streams/:id/cancel
+ * Cancel a payment stream and return its unpaid deposit
+ */
+app.post('/streams/:id/cancel', (req, res) => {
+    try {
+        const { fromAddress } = req.body;
+
+        const transaction = blockchain.cancelPaymentStream(fromAddress, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Stream cancellation created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /rec/transfer
+ * Transfer renewable energy certificates to another wallet
+ */
+app.post('/rec/transfer', (req, res) => {
+    try {
+        const { fromAddress, toAddress, certificateIds } = req.body;
+
+        const transaction = blockchain.transferCertificates(fromAddress, toAddress, certificateIds);
+
+        res.json({
+            success: true,
+            message: 'REC transfer created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /rec/retire
+ * Retire renewable energy certificates against a compute allocation
+ */
+app.post('/rec/retire', (req, res) => {
+    try {
+        const { fromAddress, certificateIds, computeAllocation } = req.body;
+
+        const transaction = blockchain.retireCertificates(fromAddress, certificateIds, computeAllocation);
+
+        res.json({
+            success: true,
+            message: 'REC retirement created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /stake
+ * Stake tokens towards block proposal (proof of stake)
+ */
+app.post('/stake', (req, res) => {
+    try {
+        const { fromAddress, amount } = req.body;
+
+        const transaction = blockchain.stake(fromAddress, amount);
+
+        res.json({
+            success: true,
+            message: 'Stake created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /unstake
+ * Withdraw active stake after the bonding period
+ */
+app.post('/unstake', (req, res) => {
+    try {
+        const { fromAddress, amount } = req.body;
+
+        const transaction = blockchain.unstake(fromAddress, amount);
+
+        res.json({
+            success: true,
+            message: 'Unstake created (needs to be signed and submitted)',
+            transaction: transaction.getSummary()
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /validators
+ * Get bonded validators with stake, jail status and slash history
+ */
+app.get('/validators', (req, res) => {
+    res.json({
+        success: true,
+        consensus: blockchain.consensus,
+        nextProposer: blockchain.consensus === 'pos' ? blockchain.getNextProposer() : null,
+        validators: blockchain.getValidatorRegistry()
+    });
+});
+
+/**
+ * GET /reputation/:address
+ * Get a provider's reputation score with its components
+ */
+app.get('/reputation/:address', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            reputation: blockchain.getReputation(req.params.address)
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /leaderboard
+ * Get energy provider leaderboard
+ */
+app.get('/leaderboard', (req, res) => {
+    res.json({
+        success: true,
+        leaderboard: blockchain.getEnergyLeaderboard()
+    });
+});
+
+/**
+ * POST /wallet/create
+ * Create a new wallet, returned only as a keystore encrypted with the given password
+ */
+app.post('/wallet/create', (req, res) => {
+    try {
+        const { password, walletType } = req.body;
+
+        const wallet = new Wallet();
+        wallet.walletType = walletType || 'standard';
+
+        res.json({
+            success: true,
+            address: wallet.getAddress(),
+            walletId: wallet.getWalletId(),
+            keystore: wallet.exportEncrypted(password)
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /peers
+ * List connected P2P peers
+ */
+app.get('/peers', (req, res) => {
+    res.json({
+        success: true,
+        peers: p2p.getPeers()
+    });
+});
+
+/**
+ * GET /validate
+ * Validate the blockchain
+ */
+app.get('/validate', (req, res) => {
+    const isValid = blockchain.isChainValid();
+
+    res.json({
+        success: true,
+        isValid: isValid,
+        message: isValid ? 'Blockchain is valid' : 'Blockchain is corrupted'
+    });
+});
+
+/**
+ * GET /block/:index
+ * Get a specific block
+ */
+app.get('/block/:index', (req, res) => {
+    const index = parseInt(req.params.index);
+
+    if (index < 0 || index >= blockchain.chain.length) {
+        return res.status(404).json({
+            success: false,
+            error: 'Block not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        block: blockchain.chain[index].getSummary()
+    });
+});
+
+/**
+ * GET /
+ * API information
+ */
+app.get('/', (req, res) => {
+    res.json({
+        name: 'EnergyAI Blockchain Node',
+        version: '1.0.0',
+        description: 'Energy token blockchain for AI computation and compute power',
+        endpoints: {
+            'GET /': 'API information',
+            'GET /blockchain': 'Get entire blockchain',
+            'GET /stats': 'Get blockchain statistics',
+            'GET /balance/:address': 'Get balance for address',
+            'GET /transactions/:address': 'Get transactions for address',
+            'GET /nonce/:address': 'Get next transaction nonce for address',
+            'GET /mempool': 'Get pending pool size, fee histogram and ?address= queue and scheduled transactions',
+            'GET /block/:index': 'Get specific block',
+            'GET /leaderboard': 'Get energy provider leaderboard',
+            'GET /reputation/:address': 'Get provider reputation score',
+            'GET /validate': 'Validate blockchain',
+            'GET /peers': 'List connected P2P peers',
+            'GET /validators': 'List validators with stake, jail status and slash history',
+            'POST /transaction/create': 'Create new transaction (notBefore time-locks it)',
+            'POST /transaction/submit': 'Submit signed transaction',
+            'POST /mine': 'Mine pending transactions',
+            'POST /energy/tokenize': 'Tokenize energy',
+            'POST /meter/register': 'Register an energy meter (issuer nodes)',
+            'POST /meter/reading': 'Tokenize a signed meter reading',
+            'POST /rec/transfer': 'Transfer renewable energy certificates',
+            'POST /rec/retire': 'Retire certificates against a compute allocation',
+            'POST /compute/allocate': 'Allocate compute resources',
+            'GET /compute/jobs': 'List compute jobs (?status=&address=)',
+            'GET /compute/jobs/:id': 'Get a compute job',
+            'POST /compute/jobs': 'Post a compute job',
+            'POST /compute/jobs/:id/bids': 'Bid on a compute job',
+            'POST /compute/jobs/:id/accept': 'Accept a bid into escrow',
+            'POST /compute/jobs/:id/result': 'Deliver a result with its proof',
+            'POST /compute/jobs/:id/release': 'Release escrow to the provider',
+            'POST /compute/jobs/:id/refund': 'Cancel or refund a compute job',
+            'POST /compute/jobs/:id/dispute': 'Dispute a delivered job',
+            'POST /compute/jobs/:id/evidence': 'Post dispute evidence',
+            'POST /compute/jobs/:id/vote': 'Vote on a dispute (arbiters)',
+            'GET /disputes/:address': 'Get disputes for address',
+            'GET /carbon/intensity': 'Grid carbon intensity by region and hour',
+            'GET /carbon/projects': 'List carbon offset projects',
+            'GET /carbon/credits/:address': 'Get carbon credits held and retired by address',
+            'POST /carbon/projects': 'Register a carbon offset project (issuer nodes)',
+            'POST /carbon/issue': 'Issue carbon credits to a project (issuer nodes)',
+            'POST /carbon/purchase': 'Buy carbon credits from a project',
+            'POST /carbon/transfer': 'Transfer carbon credits',
+            'POST /carbon/retire': 'Retire carbon credits for a beneficiary',
+            'POST /multisig/accounts': 'Create an M-of-N multisig account',
+            'GET /multisig/accounts/:address': 'Get multisig account members and threshold',
+            'POST /multisig/proposals': 'Propose a spend from a multisig account',
+            'GET /multisig/proposals/:id': 'Get a proposal and its signers',
+            'POST /multisig/proposals/:id/sign': 'Co-sign a proposal',
+            'POST /multisig/proposals/:id/submit': 'Submit a fully signed proposal',
+            'GET /streams/:address': 'Get payment streams for address',
+            'POST /streams': 'Open a recurring payment stream',
+            'POST /streams/:id/cancel': 'Cancel a payment stream',
+            'POST /stake': 'Stake tokens (proof of stake)',
+            'POST /unstake': 'Withdraw stake after the bonding period',
+            'POST /wallet/create': 'Create new wallet as a password-encrypted keystore'
+        },
+        networkId: blockchain.networkId,
+        consensus: blockchain.consensus,
+        genesisHash: blockchain.chain[0].hash,
+        nodeAddress: nodeWallet.getAddress(),
+        nodeId: nodeWallet.getWalletId()
+    });
+});
+
+// Start server
+async function startServer() {
+    // Initialize security features
+    await initializeServer();
+
+    try {
+        nodeWallet = await loadNodeWallet();
+    } catch (error) {
+        console.error(`❌ Cannot load node identity: ${error.message}`);
+        process.exit(1);
+    }
+    console.log(`Node Address: ${nodeWallet.getWalletId()}\n`);
+
+    p2p.listen();
+
+    app.listen(PORT, () => {
+        console.log(`✅ EnergyAI Blockchain Node running on port ${PORT}`);
+        console.log(`📡 API endpoint: http://localhost:${PORT}`);
+        console.log(`🔗 Node ID: ${nodeWallet.getWalletId()}\n`);
+
+        console.log('🔐 Security Features:');
+        console.log(`   Secret Manager: ${config.secretProvider || 'env'}`);
+        console.log(`   Budget Monitor: Enabled`);
+        console.log(`   Daily Limit: $${budgetMonitor.maxDailySpend}`);
+        console.log(`   Monthly Limit: $${budgetMonitor.maxMonthlySpend}\n`);
+
+        console.log('Available endpoints:');
+        console.log(`   GET  http://localhost:${PORT}/`);
+        console.log(`   GET  http://localhost:${PORT}/stats`);
+        console.log(`   GET  http://localhost:${PORT}/budget`);
+        console.log(`   GET  http://localhost:${PORT}/blockchain`);
+        console.log(`   POST http://localhost:${PORT}/mine`);
+        console.log(`   POST http://localhost:${PORT}/energy/tokenize`);
+        console.log(`   ... and more!\n`);
+    });
+}
+
+// Only start when run directly; tests import the app without listening
+const isMainModule = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (isMainModule) {
+    // Snapshot state on shutdown so the pending pool survives restarts
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            chainStore.writeSnapshot(blockchain);
+            console.log('\n💾 Chain state saved. Shutting down.');
+            process.exit(0);
+        });
+    }
+
+    // Start the server
+    startServer().catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
+
 export default app;
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import path from 'path';
+import Block from '../core/Block.js';
+import { BLOCKCHAIN_CONFIG } from '../core/Constants.js';
+import { ChainValidationError } from '../utils/Validation.js';
+
+/**
+ * ChainStore - Disk persistence for the EnergyAI blockchain
+ *
+ * Layout of the data directory:
+ * - blocks.log: append-only log, one JSON block per line (genesis first)
+ * - snapshot.json: periodic snapshot of state that blocks alone can't rebuild
+ *   (pending pool, difficulty history, provider tracking)
+ */
+class ChainStore {
+    constructor(dataDir, options = {}) {
+        this.dataDir = dataDir;
+        this.blockLogPath = path.join(dataDir, 'blocks.log');
+        this.snapshotPath = path.join(dataDir, 'snapshot.json');
+        this.snapshotInterval = options.snapshotInterval || BLOCKCHAIN_CONFIG.SNAPSHOT_INTERVAL;
+
+        this.persistedHeight = 0; // Number of blocks already in the log
+        this.persistedTipHash = null; // Hash of the last block in the log
+        this.snapshotHeight = -1; // Height covered by the last snapshot
+
+        fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    /**
+     * Read and rehydrate every block in the log
+     * @throws {ChainValidationError} if a line cannot be parsed
+     */
+    readBlocks() {
+        if (!fs.existsSync(this.blockLogPath)) {
+            return [];
+        }
+
+        const lines = fs.readFileSync(this.blockLogPath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim().length > 0);
+
+        return lines.map((line, height) => {
+            try {
+                return Block.fromJSON(JSON.parse(line));
+            } catch (error) {
+                throw new ChainValidationError(`Unreadable block record: ${error.message}`, height);
+            }
+        });
+    }
+
+    /**
+     * Read the latest snapshot, or null if none was written yet
+     */
+    readSnapshot() {
+        if (!fs.existsSync(this.snapshotPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️  Ignoring unreadable snapshot: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Load stored blocks into a blockchain instance
+     * A fresh data directory leaves the blockchain untouched
+     * @returns {Blockchain} The same blockchain instance
+     * @throws {ChainValidationError} if the stored chain is corrupted
+     */
+    load(blockchain) {
+        const blocks = this.readBlocks();
+        if (blocks.length === 0) {
+            return blockchain;
+        }
+
+        const snapshot = this.readSnapshot();
+        blockchain.restore(blocks, snapshot);
+
+        this.persistedHeight = blocks.length;
+        this.persistedTipHash = blocks[blocks.length - 1].hash;
+        this.snapshotHeight = snapshot ? snapshot.height : -1;
+
+        console.log(`💾 Loaded ${blocks.length} blocks from ${this.dataDir}`);
+        return blockchain;
+    }
+
+    /**
+     * Append blocks mined since the last save and snapshot when due
+     * Call after every minePendingTransactions()
+     */
+    save(blockchain) {
+        const persistedTip = blockchain.chain[this.persistedHeight - 1];
+
+        if (this.persistedHeight > 0 && (!persistedTip || persistedTip.hash !== this.persistedTipHash)) {
+            // The chain was reorganized below the stored tip
+            this.rewrite(blockchain);
+        } else {
+            const newBlocks = blockchain.chain.slice(this.persistedHeight);
+
+            if (newBlocks.length > 0) {
+                fs.appendFileSync(this.blockLogPath, this.serializeBlocks(newBlocks));
+                this.persistedHeight = blockchain.chain.length;
+                this.persistedTipHash = blockchain.getLatestBlock().hash;
+            }
+        }
+
+        const tipHeight = blockchain.chain.length - 1;
+        if (this.snapshotHeight < 0 || tipHeight - this.snapshotHeight >= this.snapshotInterval) {
+            this.writeSnapshot(blockchain);
+        }
+    }
+
+    /**
+     * Replace the whole block log (atomic rename)
+     * Only needed after a reorg; normal operation only appends
+     */
+    rewrite(blockchain) {
+        const tempPath = `${this.blockLogPath}.tmp`;
+
+        fs.writeFileSync(tempPath, this.serializeBlocks(blockchain.chain));
+        fs.renameSync(tempPath, this.blockLogPath);
+
+        this.persistedHeight = blockchain.chain.length;
+        this.persistedTipHash = blockchain.getLatestBlock().hash;
+        this.writeSnapshot(blockchain);
+    }
+
+    serializeBlocks(blocks) {
+        return blocks.map(block => JSON.stringify(block) + '\n').join('');
+    }
+
+    /**
+     * Write a snapshot of the current state (atomic rename)
+     */
+    writeSnapshot(blockchain) {
+        const snapshot = blockchain.exportSnapshot();
+        const tempPath = `${this.snapshotPath}.tmp`;
+
+        fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+        fs.renameSync(tempPath, this.snapshotPath);
+
+        this.snapshotHeight = snapshot.height;
+    }
+}
+
+export default ChainStore;
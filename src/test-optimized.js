@@ -1,6 +1,7 @@
 import Blockchain from './core/Blockchain.js';
 import Transaction from './core/Transaction.js';
 import Wallet from './wallet/Wallet.js';
+import { loadGenesisSpec } from './core/Genesis.js';
 
 /**
  * Comprehensive Test Suite for Optimized EnergyAI Blockchain
@@ -12,7 +13,12 @@ console.log('🧪 ENERGYAI BLOCKCHAIN - OPTIMIZATION TEST SUITE');
 console.log('═══════════════════════════════════════════════════════════\n');
 
 // Initialize blockchain
-const energyAI = new Blockchain();
+// Demo oracle authorised to sign energy mints
+const oracle = new Wallet();
+const energyAI = new Blockchain({
+    genesis: { ...loadGenesisSpec(), issuers: [{ name: 'demo-oracle', address: oracle.getAddress() }] },
+    issuerKey: oracle.keyPair
+});
 
 // Create test wallets
 const miner = new Wallet();
@@ -78,7 +84,6 @@ console.log(`   Mixed: 100 kWh -> ${mixedTokens.toFixed(2)} EAI\n`);
 // Mine the block
 energyAI.minePendingTransactions(miner.getAddress(), {
     totalEnergyConsumed: 30,
-    carbonFootprint: 15,
     energySource: 'renewable',
     efficiencyScore: 85,
     aiWorkloadType: 'inference'
@@ -132,7 +137,6 @@ energyAI.addTransaction(computeTx);
 
 energyAI.minePendingTransactions(miner.getAddress(), {
     totalEnergyConsumed: 20,
-    carbonFootprint: 10,
     energySource: 'mixed',
     efficiencyScore: 70,
     aiWorkloadType: 'training'
@@ -146,12 +150,27 @@ console.log(`   AI Company balance: ${energyAI.getBalanceOfAddress(aiCompany.get
 console.log('🌱 TEST 6: Carbon Credits');
 console.log('─────────────────────────────────────────────────────────');
 
-const carbonTx = energyAI.purchaseCarbonCredit(energyProvider.getAddress(), 50);
+const carbonProject = new Wallet();
+energyAI.registerCarbonProject('wind-farm-1', carbonProject.getAddress(), { name: 'Coastal wind farm' });
+energyAI.minePendingTransactions(miner.getAddress());
+energyAI.issueCarbonCredits('wind-farm-1', 2025, 10);
+energyAI.minePendingTransactions(miner.getAddress());
+
+const [carbonBatch] = energyAI.getCarbonCredits(carbonProject.getAddress()).held;
+const carbonTx = energyAI.purchaseCarbonCredit(energyProvider.getAddress(), carbonBatch.id, 1);
 carbonTx.signTransaction(energyProvider.keyPair);
 energyAI.addTransaction(carbonTx);
 
 energyAI.minePendingTransactions(miner.getAddress());
 
+const [ownedCredits] = energyAI.getCarbonCredits(energyProvider.getAddress()).held;
+const retireTx = energyAI.retireCarbonCredits(energyProvider.getAddress(), ownedCredits.id, 1, 'Energy provider', 'Demo offset');
+retireTx.signTransaction(energyProvider.keyPair);
+energyAI.addTransaction(retireTx);
+
+energyAI.minePendingTransactions(miner.getAddress());
+console.log(`   Confirmed offset: ${energyAI.totalCarbonOffset} kg CO2`);
+
 console.log(`   Energy provider balance after carbon credit: ${energyAI.getBalanceOfAddress(energyProvider.getAddress())} EAI\n`);
 
 // ============================================
@@ -1,6 +1,23 @@
 import Blockchain from './core/Blockchain.js';
 import Transaction from './core/Transaction.js';
 import Wallet from './wallet/Wallet.js';
+import Keystore from './wallet/Keystore.js';
+import HDWallet from './wallet/HDWallet.js';
+import Block from './core/Block.js';
+import CertificateRegistry from './core/CertificateRegistry.js';
+import ChainStore from './storage/ChainStore.js';
+import P2PNetwork from './network/P2PNetwork.js';
+import { loadGenesisSpec } from './core/Genesis.js';
+import { generateComputeProof, verifyComputeProof, registerComputeWorkload, unregisterComputeWorkload } from './core/ComputeProof.js';
+import { hashMeterReading, signMeterReading } from './core/MeterRegistry.js';
+import { CarbonIntensityTable, loadCarbonIntensityTable } from './utils/CarbonIntensity.js';
+import { calculateCarbonFootprint } from './utils/EnergyUtils.js';
+import { publicKeyToAddress, recoverAddress } from './utils/Address.js';
+import { validateAddress } from './utils/Validation.js';
+import { BLOCKCHAIN_CONFIG, TRANSACTION_TYPES } from './core/Constants.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 /**
  * Test Suite for EnergyAI Blockchain
@@ -23,12 +40,36 @@ function test(description, testFn) {
     }
 }
 
+// Same as test(), for tests that await (e.g. requests to the node's HTTP API)
+async function testAsync(description, testFn) {
+    try {
+        await testFn();
+        console.log(`✅ PASS: ${description}`);
+        testsPassed++;
+    } catch (error) {
+        console.log(`❌ FAIL: ${description}`);
+        console.log(`   Error: ${error.message}`);
+        testsFailed++;
+    }
+}
+
 function assert(condition, message) {
     if (!condition) {
         throw new Error(message || 'Assertion failed');
     }
 }
 
+// Test network: default genesis plus an authorised oracle that signs mints
+const issuer = new Wallet();
+const testGenesis = {
+    ...loadGenesisSpec(),
+    issuers: [{ name: 'test-oracle', address: issuer.getAddress() }]
+};
+
+function createBlockchain() {
+    return new Blockchain({ genesis: testGenesis, issuerKey: issuer.keyPair });
+}
+
 // ============================================
 // BLOCKCHAIN TESTS
 // ============================================
@@ -36,13 +77,13 @@ console.log('📦 BLOCKCHAIN TESTS');
 console.log('─────────────────────────────────────────────────────────\n');
 
 test('Blockchain initializes with genesis block', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     assert(blockchain.chain.length === 1, 'Should have 1 block');
     assert(blockchain.chain[0].previousHash === '0', 'Genesis block should have previousHash of 0');
 });
 
 test('Can add and mine transactions', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet1 = new Wallet();
     const wallet2 = new Wallet();
 
@@ -65,7 +106,7 @@ test('Can add and mine transactions', () => {
 });
 
 test('Blockchain validates correctly', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
     blockchain.minePendingTransactions(wallet.getAddress());
@@ -75,7 +116,7 @@ test('Blockchain validates correctly', () => {
 });
 
 test('Tampered blockchain is invalid', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
     blockchain.minePendingTransactions(wallet.getAddress());
@@ -87,6 +128,23 @@ test('Tampered blockchain is invalid', () => {
     assert(!blockchain.isChainValid(), 'Tampered blockchain should be invalid');
 });
 
+test('Statistics report validity without revalidating the chain', () => {
+    const blockchain = createBlockchain();
+    const wallet = new Wallet();
+
+    blockchain.minePendingTransactions(wallet.getAddress());
+    blockchain.validateChain = () => {
+        throw new Error('Statistics should not revalidate the chain');
+    };
+
+    assert(blockchain.getStatistics().isValid === true, 'Mined chain should be reported valid');
+
+    blockchain.chain.push(Block.fromJSON(JSON.parse(JSON.stringify(blockchain.getLatestBlock()))));
+    blockchain.chain[2].hash = 'unchecked';
+    blockchain.statsCache.clear();
+    assert(blockchain.getStatistics().isValid === false, 'A block that bypassed validation should be reported');
+});
+
 // ============================================
 // ENERGY TOKENIZATION TESTS
 // ============================================
@@ -94,7 +152,7 @@ console.log('\n⚡ ENERGY TOKENIZATION TESTS');
 console.log('─────────────────────────────────────────────────────────\n');
 
 test('Energy tokenization with renewable bonus', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
     const tokens = blockchain.tokenizeEnergy(wallet.getAddress(), 10, 'renewable');
@@ -104,7 +162,7 @@ test('Energy tokenization with renewable bonus', () => {
 });
 
 test('Energy tokenization with mixed source', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
     const tokens = blockchain.tokenizeEnergy(wallet.getAddress(), 10, 'mixed');
@@ -114,7 +172,7 @@ test('Energy tokenization with mixed source', () => {
 });
 
 test('Energy provider tracking', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
     blockchain.tokenizeEnergy(wallet.getAddress(), 50, 'renewable');
@@ -178,7 +236,7 @@ test('Energy trade transaction', () => {
 });
 
 test('Compute allocation transaction', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet1 = new Wallet();
     const wallet2 = new Wallet();
 
@@ -193,6 +251,120 @@ test('Compute allocation transaction', () => {
     assert(tx.aiWorkloadType === 'training', 'Should have workload type');
 });
 
+test('Replayed transaction is rejected', () => {
+    const blockchain = createBlockchain();
+    const wallet1 = new Wallet();
+    const wallet2 = new Wallet();
+
+    blockchain.tokenizeEnergy(wallet1.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(wallet1.getAddress());
+
+    const tx = wallet1.createTransaction(wallet2.getAddress(), 50, blockchain);
+    const payload = JSON.parse(JSON.stringify(tx));
+    blockchain.addTransaction(tx);
+    blockchain.minePendingTransactions(wallet1.getAddress());
+
+    let error = null;
+    try {
+        blockchain.addTransaction(Transaction.fromJSON(payload));
+    } catch (e) {
+        error = e;
+    }
+
+    assert(error && error.message.includes('already been used'), 'Should reject the replayed payload');
+    assert(blockchain.getNonce(wallet1.getAddress()) === 1, 'Confirmed nonce should be 1');
+});
+
+test('Replayed issuer transactions are rejected', () => {
+    const blockchain = createBlockchain();
+    const provider = new Wallet();
+    const miner = new Wallet().getAddress();
+
+    const tokens = blockchain.tokenizeEnergy(provider.getAddress(), 100, 'mixed');
+    const mint = blockchain.pendingTransactions[0];
+    blockchain.minePendingTransactions(miner);
+    const mintBlock = blockchain.getLatestBlock();
+    setupCarbonProject(blockchain);
+    const issuance = blockchain.getLatestBlock().transactions.find(tx => tx.transactionType === 'carbon_issuance');
+
+    const replayedMint = attemptError(() => blockchain.addTransaction(Transaction.fromJSON(JSON.parse(JSON.stringify(mint)))));
+    const replayedIssuance = attemptError(() => blockchain.addTransaction(Transaction.fromJSON(JSON.parse(JSON.stringify(issuance)))));
+    assert(replayedMint && replayedMint.includes('already confirmed'), `Should reject a replayed mint, got: ${replayedMint}`);
+    assert(replayedIssuance && replayedIssuance.includes('already confirmed'), `Should reject a replayed issuance, got: ${replayedIssuance}`);
+
+    // A miner that includes the old mint anyway produces an invalid block
+    const block = Block.fromJSON(JSON.parse(JSON.stringify(mintBlock)));
+    block.previousHash = blockchain.getLatestBlock().hash;
+    block.timestamp = Date.now();
+    block.energyData.computeProof = blockchain.generateComputeProof();
+    block.hash = '';
+    block.mineBlock(block.difficulty, block.miningMetrics.minerAddress);
+
+    const replayedBlock = attemptError(() => blockchain.addBlock(block));
+    assert(replayedBlock && replayedBlock.includes('already confirmed'), `Should reject a block replaying a mint, got: ${replayedBlock}`);
+    assert(!blockchain.isChainValid([...blockchain.chain, block]), 'A chain replaying a mint should not validate');
+    assert(blockchain.getBalanceOfAddress(provider.getAddress()) === tokens, 'Balance should count the mint once');
+});
+
+test('Out-of-order nonce is rejected', () => {
+    const blockchain = createBlockchain();
+    const wallet1 = new Wallet();
+    const wallet2 = new Wallet();
+
+    blockchain.tokenizeEnergy(wallet1.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(wallet1.getAddress());
+
+    const tx = new Transaction(wallet1.getAddress(), wallet2.getAddress(), 10);
+    tx.nonce = 3;
+    tx.signTransaction(wallet1.keyPair);
+
+    let error = null;
+    try {
+        blockchain.addTransaction(tx);
+    } catch (e) {
+        error = e;
+    }
+
+    assert(error && error.message.includes('out of order'), 'Should reject a nonce gap');
+});
+
+test('Next nonce accounts for pending transactions', () => {
+    const blockchain = createBlockchain();
+    const wallet1 = new Wallet();
+    const wallet2 = new Wallet();
+
+    blockchain.tokenizeEnergy(wallet1.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(wallet1.getAddress());
+
+    blockchain.addTransaction(wallet1.createTransaction(wallet2.getAddress(), 10, blockchain));
+    const second = wallet1.createTransaction(wallet2.getAddress(), 10, blockchain);
+
+    assert(second.nonce === 1, 'Second pending transaction should use nonce 1');
+    blockchain.addTransaction(second);
+    assert(blockchain.getNextNonce(wallet1.getAddress()) === 2, 'Next nonce should be 2');
+});
+
+test('Pending spends count against available balance', () => {
+    const blockchain = createBlockchain();
+    const wallet1 = new Wallet();
+    const wallet2 = new Wallet();
+
+    blockchain.tokenizeEnergy(wallet1.getAddress(), 10, 'mixed');
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    blockchain.addTransaction(wallet1.createTransaction(wallet2.getAddress(), 80, blockchain));
+
+    let error = null;
+    try {
+        blockchain.addTransaction(wallet1.createTransaction(wallet2.getAddress(), 80, blockchain));
+    } catch (e) {
+        error = e;
+    }
+
+    assert(error && error.message.includes('80.08 committed to 1 pending'), 'Should report the committed amount plus fee');
+    assert(Math.abs(blockchain.getAvailableBalance(wallet1.getAddress()) - 19.92) < 1e-9, 'Only 19.92 EAI should remain available');
+});
+
 // ============================================
 // WALLET TESTS
 // ============================================
@@ -217,8 +389,118 @@ test('Wallet export and import', () => {
     assert(wallet1.getPrivateKey() === wallet2.getPrivateKey(), 'Imported wallet should have same private key');
 });
 
+// Cheap scrypt cost so keystore tests stay fast
+const TEST_KDF = { n: 1024 };
+
+test('Encrypted wallet export round-trips with its password only', () => {
+    const wallet = new Wallet();
+    wallet.walletType = 'validator';
+    const keystore = JSON.stringify(wallet.exportEncrypted('hunter2', TEST_KDF));
+
+    assert(!keystore.includes(wallet.getPrivateKey()), 'Keystore must not contain the raw private key');
+    assert(JSON.parse(keystore).version === 1, 'Keystore should be versioned');
+
+    const restored = Wallet.importEncrypted(keystore, 'hunter2');
+    assert(restored.getPrivateKey() === wallet.getPrivateKey(), 'Should decrypt the same key');
+    assert(restored.walletType === 'validator', 'Should keep the wallet type');
+
+    const wrong = attemptError(() => Wallet.importEncrypted(keystore, 'hunter3'));
+    assert(wrong && wrong.includes('Wrong password'), 'Should reject a wrong password');
+
+    const swapped = JSON.parse(keystore);
+    swapped.address = new Wallet().getAddress();
+    assert(attemptError(() => Wallet.importEncrypted(swapped, 'hunter2')), 'Should reject a keystore whose address was swapped');
+});
+
+test('Keystore directory keeps an identity across loads', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'energyai-'));
+    try {
+        const first = new Keystore(dir).loadOrCreate('node', 'hunter2', 'node');
+        const second = new Keystore(dir).loadOrCreate('node', 'hunter2', 'node');
+
+        assert(first.getAddress() === second.getAddress(), 'Second run should load the stored identity');
+        assert(new Keystore(dir).list().join() === 'node', 'Should list the stored identity');
+        assert((fs.statSync(path.join(dir, 'node.json')).mode & 0o077) === 0, 'Keystore file should be private to its owner');
+        assert(attemptError(() => new Keystore(dir).load('node', 'wrong')), 'Should not load with the wrong password');
+        assert(attemptError(() => new Keystore(dir).load('../node', 'hunter2')), 'Should reject names outside the directory');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Recovery phrase derives standard BIP-32 accounts', () => {
+    // BIP-39 test mnemonic; m/44'/60'/0'/0/0 is a widely published test vector
+    const mnemonic = `${'abandon '.repeat(11)}about`;
+    const vector = new HDWallet(mnemonic, '', "m/44'/60'/0'/0").deriveAccount(0);
+    assert(vector.getPrivateKey() === '1ab42cc412b618bdea3a599e3c9bae199ebf030895b039e9db1e30dafb12b727',
+        'Should match the published derivation');
+
+    const hd = new HDWallet(mnemonic);
+    const [first, second] = hd.deriveAccounts(2);
+    assert(first.getAddress() !== second.getAddress(), 'Each account should have its own address');
+    assert(second.accountIndex === 1 && second.derivationPath === "m/44'/1'/0'/0/1", 'Account should record its index and path');
+    assert(new HDWallet(mnemonic, 'extra').deriveAccount(0).getAddress() !== first.getAddress(), 'A passphrase should change every account');
+
+    const badChecksum = attemptError(() => new HDWallet(`${'abandon '.repeat(12)}`.trim()));
+    assert(badChecksum && badChecksum.includes('Invalid mnemonic'), 'Should reject a phrase with a bad checksum');
+});
+
+test('Generated recovery phrase restores the same accounts', () => {
+    const hd = HDWallet.generate();
+    assert(hd.mnemonic.split(' ').length === 24, 'Default phrase should have 24 words');
+
+    const restored = new HDWallet(`  ${hd.mnemonic.replace(/ /g, '\n')}  `);
+    assert(restored.deriveAccount(7).getAddress() === hd.deriveAccount(7).getAddress(), 'Restored phrase should derive the same accounts');
+
+    const account = hd.deriveAccount(3);
+    const reopened = Wallet.importEncrypted(account.exportEncrypted('hunter2', TEST_KDF), 'hunter2');
+    assert(reopened.accountIndex === 3 && reopened.derivationPath === account.derivationPath, 'Keystore should keep the account index');
+});
+
+test('Addresses are short and checksummed', () => {
+    const wallet = new Wallet();
+    const address = wallet.getAddress();
+
+    assert(address.startsWith('EAI') && address.length < 40, `Address should be short and prefixed, got ${address}`);
+    assert(address === publicKeyToAddress(wallet.publicKey), 'Address should derive from the public key');
+
+    const last = address[address.length - 1];
+    const typo = address.slice(0, -1) + (last === 'z' ? 'y' : 'z');
+    for (const bad of [typo, 'CARBON_OFFSET_POOL', wallet.publicKey, `XYZ${address.slice(3)}`]) {
+        assert(attemptError(() => validateAddress(bad)), `Should reject ${bad}`);
+    }
+});
+
+test('Signatures recover the sender, and typo recipients are rejected', () => {
+    const blockchain = createBlockchain();
+    const sender = new Wallet();
+    blockchain.tokenizeEnergy(sender.getAddress(), 10, 'renewable');
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const tx = sender.createTransaction(new Wallet().getAddress(), 10, blockchain);
+    assert(recoverAddress(tx.calculateHash(), tx.signature) === sender.getAddress(), 'Should recover the sender address');
+
+    const forged = Transaction.fromJSON(JSON.parse(JSON.stringify(tx)));
+    forged.amount = 20;
+    assert(!forged.isValid(), 'A changed transaction should not verify');
+
+    const address = new Wallet().getAddress();
+    const typo = submitError(blockchain, sender, address.slice(0, -1) + (address.endsWith('z') ? 'y' : 'z'));
+    assert(typo && typo.includes('not a valid address'), 'Should reject a recipient with a typo');
+    const pool = submitError(blockchain, sender, 'CARBON_OFFSET_POOL');
+    assert(pool && pool.includes('not a valid address'), 'Should reject a made-up recipient');
+});
+
+// Sign and submit a transfer to a raw recipient string, returning the error
+function submitError(blockchain, wallet, toAddress) {
+    const tx = new Transaction(wallet.getAddress(), toAddress, 1);
+    tx.nonce = blockchain.getNextNonce(wallet.getAddress());
+    tx.signTransaction(wallet.keyPair);
+    return attemptError(() => blockchain.addTransaction(tx));
+}
+
 test('Wallet balance calculation', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
     blockchain.tokenizeEnergy(wallet.getAddress(), 10, 'renewable');
@@ -235,7 +517,7 @@ console.log('\n⛏️  MINING TESTS');
 console.log('─────────────────────────────────────────────────────────\n');
 
 test('Mining reward with energy bonus', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
     blockchain.minePendingTransactions(wallet.getAddress(), {
@@ -250,7 +532,7 @@ test('Mining reward with energy bonus', () => {
 });
 
 test('Block hash starts with correct difficulty', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
     blockchain.minePendingTransactions(wallet.getAddress());
@@ -262,33 +544,1940 @@ test('Block hash starts with correct difficulty', () => {
     assert(prefix === expectedPrefix, `Hash should start with ${blockchain.difficulty} zeros`);
 });
 
+test('Transaction fees are charged to sender and paid to miner', () => {
+    const blockchain = createBlockchain();
+    const sender = new Wallet();
+    const receiver = new Wallet();
+    const miner = new Wallet();
+
+    blockchain.tokenizeEnergy(sender.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(miner.getAddress());
+    const minerBefore = blockchain.getBalanceOfAddress(miner.getAddress());
+
+    const tx = new Transaction(sender.getAddress(), receiver.getAddress(), 100);
+    tx.fee = 2;
+    tx.signTransaction(sender.keyPair);
+    blockchain.addTransaction(tx);
+    blockchain.minePendingTransactions(miner.getAddress());
+
+    const coinbase = blockchain.getLatestBlock().transactions[0];
+    assert(coinbase.transactionType === 'mining_reward', 'Coinbase should lead the block');
+    assert(coinbase.metadata.fees === 2, 'Coinbase should include collected fees');
+    assert(blockchain.getBalanceOfAddress(sender.getAddress()) === 898, 'Sender should pay amount plus fee');
+    assert(blockchain.getBalanceOfAddress(miner.getAddress()) - minerBefore === coinbase.amount, 'Miner should receive the coinbase');
+});
+
+// Re-mine a tampered copy of a node's tip so only the coinbase check can fail
+function rejectionReason(blockchain, tamper) {
+    const block = Block.fromJSON(JSON.parse(JSON.stringify(blockchain.getLatestBlock())));
+    const peer = createBlockchain();
+    tamper(block);
+    block.hash = '';
+    block.mineBlock(block.difficulty, block.miningMetrics.minerAddress);
+
+    try {
+        peer.addBlock(block);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+test('Block must pay exactly one coinbase to its miner', () => {
+    const blockchain = createBlockchain();
+    const miner = new Wallet();
+    blockchain.minePendingTransactions(miner.getAddress());
+
+    const extra = rejectionReason(blockchain, block => block.transactions.push(
+        new Transaction(null, miner.getAddress(), 1, 'mining_reward')
+    ));
+    assert(extra && extra.includes('exactly one coinbase'), 'Should reject a second coinbase');
+
+    // The coinbase is hashed, so a relay cannot redirect it without redoing the work
+    const redirected = Block.fromJSON(JSON.parse(JSON.stringify(blockchain.getLatestBlock())));
+    redirected.transactions[0].toAddress = new Wallet().getAddress();
+    const redirectedReason = attemptError(() => createBlockchain().addBlock(redirected));
+    assert(redirectedReason && redirectedReason.includes('hash does not match'), 'Should reject a coinbase paid to someone else');
+
+    assert(rejectionReason(blockchain, () => {}) === null, 'Untampered block should be accepted');
+});
+
+test('Overpaying coinbase is rejected', () => {
+    const blockchain = createBlockchain();
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const reason = rejectionReason(blockchain, block => {
+        block.transactions[0].amount += 1;
+    });
+
+    assert(reason && reason.includes('at most'), `Should describe the overpayment, got: ${reason}`);
+});
+
+test('String fees cannot inflate the coinbase', () => {
+    const blockchain = createBlockchain();
+    const sender = new Wallet();
+    const miner = new Wallet();
+
+    blockchain.tokenizeEnergy(sender.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(miner.getAddress());
+    const tx = new Transaction(sender.getAddress(), new Wallet().getAddress(), 10);
+    tx.fee = 100;
+    submit(blockchain, tx, sender);
+    blockchain.minePendingTransactions(miner.getAddress());
+
+    // Rebuild block 2 with the fee as a string and a coinbase paying far more than allowed
+    const chain = blockchain.chain.map(block => Block.fromJSON(JSON.parse(JSON.stringify(block))));
+    const block = chain[2];
+    block.transactions.find(t => t.fromAddress === sender.getAddress()).fee = '100';
+    block.transactions[0].amount = 4000;
+    block.hash = '';
+    block.mineBlock(block.difficulty, block.miningMetrics.minerAddress);
+
+    const error = blockchain.validateChain(chain);
+    assert(error && error.height === 2, 'Should reject the tampered block');
+    assert(error.reason.includes('fee "100" is not a finite'), `Should name the string fee, got: ${error.reason}`);
+});
+
+test('Mined block carries a verifiable compute proof', () => {
+    const blockchain = createBlockchain();
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const block = blockchain.getLatestBlock();
+    const proof = block.energyData.computeProof;
+    assert(proof.workload === 'matmul-v1' && proof.seed === block.previousHash, 'Proof should be seeded by the parent');
+    assert(verifyComputeProof(proof, block.previousHash) === null, 'Proof should verify');
+    assert(generateComputeProof(block.previousHash).outputHash === proof.outputHash, 'Workload should be deterministic');
+});
+
+test('Block with a forged compute proof is rejected', () => {
+    const blockchain = createBlockchain();
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const random = rejectionReason(blockchain, block => {
+        block.energyData.computeProof = `COMPUTE_PROOF_${Date.now()}_abc`;
+    });
+    assert(random && random.includes('no verifiable compute proof'), `Should reject a random string, got: ${random}`);
+
+    const forged = rejectionReason(blockchain, block => {
+        block.energyData.computeProof = { ...block.energyData.computeProof, outputHash: '0'.repeat(64) };
+    });
+    assert(forged && forged.includes('does not match'), `Should reject a wrong output hash, got: ${forged}`);
+});
+
+test('Compute proof for another block cannot be reused', () => {
+    const blockchain = createBlockchain();
+    const miner = new Wallet().getAddress();
+    const staleProof = blockchain.generateComputeProof();
+    blockchain.minePendingTransactions(miner);
+
+    let errorMessage = null;
+    try {
+        blockchain.minePendingTransactions(miner, { computeProof: staleProof });
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    assert(errorMessage && errorMessage.includes('previous block hash'), 'Should reject a proof seeded for another block');
+});
+
+test('Custom compute workloads can be registered', () => {
+    registerComputeWorkload('reverse-test', { description: 'Test workload', run: seed => [...seed].reverse().join('') });
+
+    try {
+        const proof = generateComputeProof('seed-123', 'reverse-test');
+        assert(proof.workload === 'reverse-test', 'Proof should name its workload');
+        assert(verifyComputeProof(proof, 'seed-123') === null, 'Custom proof should verify');
+    } finally {
+        unregisterComputeWorkload('reverse-test');
+    }
+});
+
+test('Fee is covered by the signature', () => {
+    const wallet1 = new Wallet();
+    const tx = new Transaction(wallet1.getAddress(), new Wallet().getAddress(), 100);
+    tx.signTransaction(wallet1.keyPair);
+    tx.fee = 0;
+
+    assert(!tx.isValid(), 'Changing the fee should invalidate the signature');
+});
+
+test('Relayed fields cannot change type under the same hash', () => {
+    const wallet1 = new Wallet();
+    const tx = new Transaction(wallet1.getAddress(), new Wallet().getAddress(), 100);
+    tx.signTransaction(wallet1.keyPair);
+    const hash = tx.calculateHash();
+
+    const relayed = Transaction.fromJSON({ ...JSON.parse(JSON.stringify(tx)), amount: '100' });
+    assert(relayed.calculateHash() !== hash, 'A string amount should hash differently');
+    const reason = attemptError(() => relayed.isValid());
+    assert(reason && reason.includes('finite, non-negative numbers'), 'Should reject a string amount');
+
+    // Nonce 1 with fee 23 must not hash like nonce 12 with fee 3
+    const shifted = Transaction.fromJSON({ ...JSON.parse(JSON.stringify(tx)), nonce: 1, fee: 23 });
+    const merged = Transaction.fromJSON({ ...JSON.parse(JSON.stringify(tx)), nonce: 12, fee: 3 });
+    assert(shifted.calculateHash() !== merged.calculateHash(), 'Fields should not run into each other');
+});
+
+test('Higher-fee transactions are mined first', () => {
+    const blockchain = createBlockchain();
+    const low = new Wallet();
+    const high = new Wallet();
+    const receiver = new Wallet();
+
+    blockchain.tokenizeEnergy(low.getAddress(), 10, 'mixed');
+    blockchain.tokenizeEnergy(high.getAddress(), 10, 'mixed');
+    blockchain.minePendingTransactions(receiver.getAddress());
+
+    const lowTx = new Transaction(low.getAddress(), receiver.getAddress(), 10);
+    lowTx.signTransaction(low.keyPair);
+    blockchain.addTransaction(lowTx);
+
+    const highTx = new Transaction(high.getAddress(), receiver.getAddress(), 10);
+    highTx.fee = 1;
+    highTx.signTransaction(high.keyPair);
+    blockchain.addTransaction(highTx);
+
+    const selected = blockchain.mempool.select();
+    assert(selected[0] === highTx, 'Highest fee should be picked first');
+});
+
+test('Fee below the minimum is rejected', () => {
+    const blockchain = createBlockchain();
+    const wallet1 = new Wallet();
+
+    blockchain.tokenizeEnergy(wallet1.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(wallet1.getAddress());
+
+    const tx = new Transaction(wallet1.getAddress(), new Wallet().getAddress(), 500);
+    tx.fee = 0;
+    tx.signTransaction(wallet1.keyPair);
+
+    let errorThrown = false;
+    try {
+        blockchain.addTransaction(tx);
+    } catch (error) {
+        errorThrown = true;
+    }
+
+    assert(errorThrown, 'Should reject a fee below 0.1% of the amount');
+});
+
+// ============================================
+// MEMPOOL TESTS
+// ============================================
+console.log('\n🗂️  MEMPOOL TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('Pending transaction can be replaced by fee', () => {
+    const blockchain = createBlockchain();
+    const sender = new Wallet();
+    const receiver = new Wallet();
+
+    blockchain.tokenizeEnergy(sender.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(receiver.getAddress());
+
+    const original = new Transaction(sender.getAddress(), receiver.getAddress(), 500);
+    original.signTransaction(sender.keyPair);
+    blockchain.addTransaction(original);
+
+    const cheapReplacement = new Transaction(sender.getAddress(), receiver.getAddress(), 400);
+    cheapReplacement.fee = original.fee;
+    cheapReplacement.signTransaction(sender.keyPair);
+
+    let errorThrown = false;
+    try {
+        blockchain.addTransaction(cheapReplacement);
+    } catch (error) {
+        errorThrown = true;
+    }
+    assert(errorThrown, 'Replacement without a higher fee should be rejected');
+
+    const replacement = new Transaction(sender.getAddress(), receiver.getAddress(), 900);
+    replacement.fee = 5;
+    replacement.signTransaction(sender.keyPair);
+    blockchain.addTransaction(replacement);
+
+    const pending = blockchain.mempool.getBySender(sender.getAddress());
+    assert(pending.length === 1 && pending[0] === replacement, 'Replacement should take the nonce slot');
+});
+
+test('Full pool evicts the lowest fee for a better offer', () => {
+    const blockchain = createBlockchain();
+    const receiver = new Wallet();
+    const senders = [new Wallet(), new Wallet(), new Wallet()];
+
+    for (const sender of senders) {
+        blockchain.tokenizeEnergy(sender.getAddress(), 10, 'mixed');
+    }
+    blockchain.minePendingTransactions(receiver.getAddress());
+    blockchain.mempool.maxSize = 2;
+
+    senders.forEach((sender, i) => {
+        const tx = new Transaction(sender.getAddress(), receiver.getAddress(), 10);
+        tx.fee = i + 1;
+        tx.signTransaction(sender.keyPair);
+        blockchain.addTransaction(tx);
+    });
+
+    const fees = blockchain.pendingTransactions.map(tx => tx.fee).sort();
+    assert(fees.length === 2 && fees[0] === 2 && fees[1] === 3, 'Lowest-fee transaction should be evicted');
+});
+
+test('Expired transactions leave the pool with their successors', () => {
+    const blockchain = createBlockchain();
+    const sender = new Wallet();
+    const receiver = new Wallet();
+
+    blockchain.tokenizeEnergy(sender.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(receiver.getAddress());
+
+    blockchain.addTransaction(sender.createTransaction(receiver.getAddress(), 10, blockchain));
+    blockchain.addTransaction(sender.createTransaction(receiver.getAddress(), 10, blockchain));
+
+    const expired = blockchain.mempool.expire(Date.now() + blockchain.mempool.ttl + 1);
+
+    assert(expired.length === 2, 'Both transactions should expire');
+    assert(blockchain.getNextNonce(sender.getAddress()) === 0, 'Nonce should be free again');
+});
+
+test('Pending issuer mints survive eviction and expiry', () => {
+    const blockchain = createBlockchain();
+    const provider = new Wallet();
+    const senders = [new Wallet(), new Wallet()];
+
+    for (const sender of senders) {
+        blockchain.tokenizeEnergy(sender.getAddress(), 10, 'mixed');
+    }
+    blockchain.minePendingTransactions(provider.getAddress());
+
+    blockchain.tokenizeEnergy(provider.getAddress(), 50, 'renewable');
+    blockchain.mempool.maxSize = 2;
+
+    senders.forEach((sender, i) => {
+        const tx = new Transaction(sender.getAddress(), provider.getAddress(), 5);
+        tx.fee = i + 1;
+        tx.signTransaction(sender.keyPair);
+        blockchain.addTransaction(tx);
+    });
+
+    const isMint = tx => tx.fromAddress === null;
+    assert(blockchain.pendingTransactions.some(isMint), 'Zero-fee mint should not be evicted');
+    assert(blockchain.pendingTransactions.find(tx => !isMint(tx)).fee === 2, 'Lowest-fee transfer should be evicted instead');
+
+    blockchain.mempool.expire(Date.now() + blockchain.mempool.ttl + 1);
+    assert(blockchain.pendingTransactions.length === 1 && isMint(blockchain.pendingTransactions[0]), 'Mint should outlive the TTL');
+    assert(blockchain.energyProviders.get(provider.getAddress()).totalEnergy === 50, 'Provider stats should match the pending mint');
+});
+
+test('Mempool reports a fee histogram', () => {
+    const blockchain = createBlockchain();
+    const sender = new Wallet();
+
+    blockchain.tokenizeEnergy(sender.getAddress(), 100, 'mixed');
+    blockchain.minePendingTransactions(sender.getAddress());
+    blockchain.addTransaction(sender.createTransaction(new Wallet().getAddress(), 50, blockchain));
+
+    const histogram = blockchain.mempool.getFeeHistogram();
+    const total = histogram.reduce((sum, bucket) => sum + bucket.count, 0);
+
+    assert(total === blockchain.mempool.size, 'Every pending transaction should be bucketed');
+    assert(histogram.find(bucket => bucket.range === '0.01-0.1').count === 1, '0.05 fee should land in 0.01-0.1');
+});
+
 // ============================================
 // CARBON CREDIT TESTS
 // ============================================
 console.log('\n🌱 CARBON CREDIT TESTS');
 console.log('─────────────────────────────────────────────────────────\n');
 
+// Register a project and issue a confirmed 100 t batch to its owner
+function setupCarbonProject(blockchain) {
+    const owner = new Wallet();
+    const miner = new Wallet().getAddress();
+
+    blockchain.registerCarbonProject('reforest-1', owner.getAddress(), { name: 'Riverbank reforestation', country: 'KE' });
+    blockchain.minePendingTransactions(miner);
+    blockchain.issueCarbonCredits('reforest-1', 2025, 100);
+    blockchain.minePendingTransactions(miner);
+
+    return { owner, batchId: blockchain.getCarbonCredits(owner.getAddress()).held[0].id };
+}
+
 test('Carbon credit purchase', () => {
-    const blockchain = new Blockchain();
+    const blockchain = createBlockchain();
+    const { owner, batchId } = setupCarbonProject(blockchain);
     const wallet = new Wallet();
 
-    const tx = blockchain.purchaseCarbonCredit(wallet.getAddress(), 100);
+    const tx = blockchain.purchaseCarbonCredit(wallet.getAddress(), batchId, 2);
 
-    assert(tx.carbonAmount === 100, 'Should have carbon amount');
-    assert(tx.creditType === 'offset', 'Should be offset type');
+    assert(tx.carbonAmount === 2000, 'Should have carbon amount in kg');
+    assert(tx.toAddress === owner.getAddress(), 'Payment should go to the project owner');
+    assert(tx.amount === 1000, 'Should cost the credit price per kg');
 });
 
-test('Carbon offset tracking', () => {
-    const blockchain = new Blockchain();
+test('Carbon footprint is tracked apart from offsets', () => {
+    const blockchain = createBlockchain();
     const wallet = new Wallet();
 
-    const initialOffset = blockchain.totalCarbonOffset;
-
     blockchain.minePendingTransactions(wallet.getAddress(), {
-        carbonFootprint: 50
+        totalEnergyConsumed: 50
+    });
+
+    assert(blockchain.totalCarbonFootprint > 0, 'Should track the carbon footprint');
+    assert(blockchain.totalCarbonOffset === 0, 'Footprint should not count as offset');
+});
+
+// Flat hourly profile per region, as CSV rows
+function intensityCSV(regions) {
+    const rows = ['region,hour,gco2_per_kwh'];
+    for (const [region, grams] of Object.entries(regions)) {
+        for (let hour = 0; hour < 24; hour++) {
+            rows.push(`${region},${hour},${grams}`);
+        }
+    }
+    return rows.join('\n');
+}
+
+test('Shipped carbon intensity table varies by region and hour', () => {
+    const noonUTC = Date.UTC(2025, 5, 1, 11);
+    const eveningUTC = Date.UTC(2025, 5, 1, 17);
+
+    const germanyNoon = calculateCarbonFootprint(1000, 'mixed', { region: 'EU-DE', timestamp: noonUTC });
+    const germanyEvening = calculateCarbonFootprint(1000, 'mixed', { region: 'EU-DE', timestamp: eveningUTC });
+    const franceNoon = calculateCarbonFootprint(1000, 'mixed', { region: 'EU-FR', timestamp: noonUTC });
+    const unknown = calculateCarbonFootprint(1000, 'mixed', { region: 'XX-NOWHERE', timestamp: noonUTC });
+    const global = calculateCarbonFootprint(1000, 'mixed', { region: 'GLOBAL', timestamp: noonUTC });
+
+    assert(germanyNoon < germanyEvening, 'Midday solar should lower the German grid intensity');
+    assert(franceNoon < germanyNoon, 'French grid should be cleaner than the German grid');
+    assert(unknown === global, 'Unknown regions should fall back to the default region');
+    assert(calculateCarbonFootprint(1000, 'renewable', { region: 'IN' }) < franceNoon, 'Renewables use their lifecycle intensity');
+});
+
+test('Blocks use a CSV table and each transaction\'s grid region', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'energyai-'));
+    const file = path.join(dataDir, 'intensity.csv');
+    fs.writeFileSync(file, intensityCSV({ CLEAN: 100, DIRTY: 500 }));
+
+    try {
+        const blockchain = new Blockchain({
+            genesis: testGenesis,
+            issuerKey: issuer.keyPair,
+            carbonIntensity: loadCarbonIntensityTable(file)
+        });
+        const wallet = new Wallet();
+
+        blockchain.tokenizeEnergy(wallet.getAddress(), 10, 'mixed', { gridRegion: 'DIRTY' });
+        blockchain.minePendingTransactions(wallet.getAddress(), { totalEnergyConsumed: 10, gridRegion: 'CLEAN' });
+
+        const { energyData } = blockchain.getLatestBlock();
+        assert(energyData.gridRegion === 'CLEAN', 'Block should record its grid region');
+        assert(Math.abs(energyData.carbonFootprint - (1 + 5)) < 1e-9, `Expected 6 kg CO2, got ${energyData.carbonFootprint}`);
+        assert(blockchain.isChainValid(), 'Chain with grid regions should be valid');
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Blocks must carry the footprint the intensity table gives their energy', () => {
+    const blockchain = createBlockchain();
+    blockchain.tokenizeEnergy(new Wallet().getAddress(), 10, 'mixed');
+    blockchain.minePendingTransactions(new Wallet().getAddress(), { totalEnergyConsumed: 5 });
+
+    const understated = rejectionReason(blockchain, block => {
+        block.energyData.carbonFootprint = 0;
+    });
+    assert(understated && understated.includes('carbon footprint'), `Should reject a made-up footprint, got: ${understated}`);
+
+    // Hiding the mints' energy would shrink the footprint along with the total
+    const hidden = rejectionReason(blockchain, block => {
+        block.energyData.totalEnergyConsumed = 0;
+        block.energyData.carbonFootprint = 0;
     });
+    assert(hidden && hidden.includes('less than the 10 kWh'), `Should reject energy below the transactions', got: ${hidden}`);
+});
+
+test('Carbon intensity table with missing hours is rejected', () => {
+    const partial = intensityCSV({ PARTIAL: 300 }).split('\n').slice(0, 20).join('\n');
+
+    let errorMessage = null;
+    try {
+        CarbonIntensityTable.fromCSV(partial);
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    assert(errorMessage && errorMessage.includes('24'), 'Should require a value for every hour');
+});
+
+test('Carbon intensity rows with blank or non-numeric values are rejected', () => {
+    const rows = intensityCSV({ GRID: 300 }).split('\n');
+    const withRow = (row, index) => rows.map((line, i) => (i === index ? row : line)).join('\n');
+
+    const blank = attemptError(() => CarbonIntensityTable.fromCSV(withRow('GRID,5,', 6)));
+    const blankHour = attemptError(() => CarbonIntensityTable.fromCSV(withRow('GRID,,300', 1)));
+    const text = attemptError(() => CarbonIntensityTable.fromCSV(withRow('GRID,5,n/a', 6)));
+
+    assert(blank && blank.includes('row 7'), `Should reject a blank intensity, got: ${blank}`);
+    assert(blankHour && blankHour.includes('row 2'), `Should reject a blank hour, got: ${blankHour}`);
+    assert(text && text.includes('row 7'), `Should reject a non-numeric intensity, got: ${text}`);
+});
+
+// ============================================
+// GENESIS TESTS
+// ============================================
+console.log('\n🌅 GENESIS TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('Independent nodes derive the same genesis hash', () => {
+    const nodeA = createBlockchain();
+    const nodeB = createBlockchain();
+
+    assert(nodeA.chain[0].hash === nodeB.chain[0].hash, 'Genesis hashes should match');
+    assert(nodeA.networkId === 'energyai-mainnet', 'Should load the bundled network id');
+});
+
+test('Genesis allocations credit named addresses', () => {
+    const treasury = new Wallet();
+    const blockchain = new Blockchain({
+        genesis: {
+            networkId: 'energyai-testnet',
+            timestamp: 1700000000000,
+            difficulty: 2,
+            allocations: [{ name: 'treasury', address: treasury.getAddress(), amount: 5000 }]
+        }
+    });
+
+    assert(blockchain.difficulty === 2, 'Should use the genesis difficulty');
+    assert(blockchain.getBalanceOfAddress(treasury.getAddress()) === 5000, 'Treasury should hold its allocation');
+    assert(blockchain.chain[0].hash !== createBlockchain().chain[0].hash, 'Different specs should differ');
+});
+
+test('Genesis hash covers the issuers and other network rules', () => {
+    const otherIssuer = new Wallet();
+    const base = createBlockchain().chain[0].hash;
+    const issuers = new Blockchain({
+        genesis: { ...testGenesis, issuers: [{ name: 'test-oracle', address: otherIssuer.getAddress() }] }
+    });
+    const slashing = new Blockchain({ genesis: { ...testGenesis, slashFraction: 0.5 } });
+
+    assert(issuers.chain[0].hash !== base, 'Changing an issuer should change the genesis hash');
+    assert(slashing.chain[0].hash !== base, 'Changing the slashing share should change the genesis hash');
+    assert(new Blockchain({ genesis: { ...testGenesis } }).chain[0].hash === base, 'The same spec should keep its hash');
+});
+
+test('Invalid genesis spec is rejected', () => {
+    let errorThrown = false;
+    try {
+        new Blockchain({ genesis: { networkId: 'broken', timestamp: Date.now() + 0.5, difficulty: 4, allocations: [] } });
+    } catch (error) {
+        errorThrown = true;
+    }
+
+    assert(errorThrown, 'Should reject a non-integer timestamp');
+});
+
+// ============================================
+// STORAGE TESTS
+// ============================================
+console.log('\n💾 STORAGE TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('Chain survives a reload from disk', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'energyai-'));
+    try {
+        const blockchain = createBlockchain();
+        const store = new ChainStore(dataDir, { snapshotInterval: 1 });
+        const wallet = new Wallet();
+
+        blockchain.tokenizeEnergy(wallet.getAddress(), 10, 'renewable');
+        blockchain.minePendingTransactions(wallet.getAddress());
+        store.save(blockchain);
+
+        const reloaded = new ChainStore(dataDir).load(createBlockchain());
+
+        assert(reloaded.chain.length === blockchain.chain.length, 'Should reload every block');
+        assert(reloaded.getLatestBlock().hash === blockchain.getLatestBlock().hash, 'Tip hash should match');
+        assert(reloaded.isChainValid(), 'Reloaded chain should be valid');
+        assert(
+            reloaded.getBalanceOfAddress(wallet.getAddress()) === blockchain.getBalanceOfAddress(wallet.getAddress()),
+            'Balances should match after reload'
+        );
+        assert(reloaded.getAllTransactionsForAddress(wallet.getAddress()).length > 0, 'Transaction index should be rebuilt');
+        assert(reloaded.energyProviders.get(wallet.getAddress()).totalEnergy === 10, 'Energy providers should be restored');
+        assert(reloaded.pendingTransactions.length === blockchain.pendingTransactions.length, 'Pending pool should be restored');
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Corrupted block log reports offending height', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'energyai-'));
+    try {
+        const blockchain = createBlockchain();
+        const store = new ChainStore(dataDir);
+        const wallet = new Wallet();
+
+        blockchain.minePendingTransactions(wallet.getAddress());
+        blockchain.minePendingTransactions(wallet.getAddress());
+        store.save(blockchain);
+
+        const logPath = path.join(dataDir, 'blocks.log');
+        const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n');
+        const tampered = JSON.parse(lines[2]);
+        tampered.energyData.totalEnergyConsumed = 999;
+        lines[2] = JSON.stringify(tampered);
+        fs.writeFileSync(logPath, lines.join('\n') + '\n');
+
+        let height = null;
+        try {
+            new ChainStore(dataDir).load(createBlockchain());
+        } catch (error) {
+            height = error.height;
+        }
+
+        assert(height === 2, `Should report corruption at height 2, got ${height}`);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('Stored chain from another network is rejected', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'energyai-'));
+    try {
+        new ChainStore(dataDir).save(createBlockchain());
+
+        const testnet = new Blockchain({
+            genesis: { networkId: 'energyai-testnet', timestamp: 1700000000000, difficulty: 4, allocations: [] }
+        });
+
+        let height = null;
+        try {
+            new ChainStore(dataDir).load(testnet);
+        } catch (error) {
+            height = error.height;
+        }
+
+        assert(height === 0, 'Should report a genesis mismatch at height 0');
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+// ============================================
+// NETWORK TESTS
+// ============================================
+console.log('\n🌐 NETWORK TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('Block mined on one node is appended by a peer', () => {
+    const nodeA = createBlockchain();
+    const nodeB = createBlockchain();
+    const wallet = new Wallet();
+
+    const gossiped = [];
+    nodeA.on('block', block => gossiped.push(JSON.parse(JSON.stringify(block))));
+
+    nodeA.tokenizeEnergy(wallet.getAddress(), 10, 'renewable');
+    nodeA.minePendingTransactions(new Wallet().getAddress());
+
+    nodeB.addBlock(Block.fromJSON(gossiped[0]));
+
+    assert(nodeB.chain.length === 2, 'Peer should append the gossiped block');
+    assert(nodeB.getLatestBlock().hash === nodeA.getLatestBlock().hash, 'Tips should match');
+    assert(nodeB.getBalanceOfAddress(wallet.getAddress()) === 150, 'Peer should see the minted tokens');
+});
+
+test('Peer rejects a block that does not extend its tip', () => {
+    const nodeA = createBlockchain();
+    const nodeB = createBlockchain();
+    const wallet = new Wallet();
+
+    nodeA.minePendingTransactions(wallet.getAddress());
+    nodeA.getLatestBlock().previousHash = 'unrelated';
+
+    let height = null;
+    try {
+        nodeB.addBlock(nodeA.getLatestBlock());
+    } catch (error) {
+        height = error.height;
+    }
+
+    assert(height === 1, 'Should reject the block at height 1');
+    assert(nodeB.chain.length === 1, 'Chain should be unchanged');
+});
+
+test('Node reorganizes onto a chain with more work', () => {
+    const nodeA = createBlockchain();
+    const nodeB = createBlockchain();
+    const provider = new Wallet();
+    const minerB = new Wallet();
+
+    nodeA.tokenizeEnergy(provider.getAddress(), 10, 'renewable');
+    nodeA.minePendingTransactions(provider.getAddress());
+    const orphanedHash = nodeA.chain[1].hash;
+
+    nodeB.minePendingTransactions(minerB.getAddress());
+    nodeB.minePendingTransactions(minerB.getAddress());
+
+    const result = nodeA.replaceChain(nodeB.chain);
+
+    assert(result.forkHeight === 1, 'Chains should fork right after genesis');
+    assert(nodeA.chain.length === 3, 'Should adopt the longer chain');
+    assert(nodeA.chain.every(block => block.hash !== orphanedHash), 'Orphaned block should be gone');
+    assert(nodeA.getBalanceOfAddress(provider.getAddress()) === 0, 'Orphaned mint should no longer be confirmed');
+    assert(
+        nodeA.pendingTransactions.some(tx => tx.toAddress === provider.getAddress() && tx.transactionType === 'energy_trade'),
+        'Orphaned mint should return to the pending pool'
+    );
+    assert(nodeA.energyProviders.get(provider.getAddress()).totalEnergy === 10, 'Provider energy should not be double counted');
+    assert(nodeA.isChainValid(), 'Adopted chain should be valid');
+});
+
+test('Reorg takes difficulty and block times from the adopted chain', () => {
+    const nodeA = createBlockchain();
+    const nodeB = createBlockchain();
+    const miner = new Wallet().getAddress();
+
+    // Node A's own fork had been retargeted upwards
+    nodeA.minePendingTransactions(miner);
+    nodeA.difficulty = nodeA.difficulty + 1;
+    nodeA.blockTimeHistory = [1, 1, 1];
+
+    nodeB.minePendingTransactions(miner);
+    nodeB.minePendingTransactions(miner);
+    nodeB.minePendingTransactions(miner);
+    nodeA.replaceChain(nodeB.chain);
+
+    assert(nodeA.difficulty === nodeB.getLatestBlock().difficulty, 'Should mine at the adopted tip difficulty');
+    assert(nodeA.blockTimeHistory.length === 2, 'Should time only the adopted blocks after the first');
+    assert(nodeA.blockTimeHistory[1] === nodeB.chain[3].timestamp - nodeB.chain[2].timestamp,
+        'Block times should come from the adopted timestamps');
+});
+
+test('Node keeps its chain against one with less work', () => {
+    const nodeA = createBlockchain();
+    const nodeB = createBlockchain();
+    const wallet = new Wallet();
+
+    nodeA.minePendingTransactions(wallet.getAddress());
+    nodeA.minePendingTransactions(wallet.getAddress());
+    nodeB.minePendingTransactions(wallet.getAddress());
+
+    let errorThrown = false;
+    try {
+        nodeA.replaceChain(nodeB.chain);
+    } catch (error) {
+        errorThrown = true;
+    }
+
+    assert(errorThrown, 'Should reject a chain with less cumulative work');
+    assert(nodeA.chain.length === 3, 'Local chain should be unchanged');
+});
+
+test('Malformed peer messages disconnect the peer instead of crashing', () => {
+    const blockchain = createBlockchain();
+    const p2p = new P2PNetwork(blockchain);
+
+    try {
+        for (const data of ['null', 'not json', '{"type":"blocks","from":1}', '{"type":"new_block","height":1}',
+            '{"type":"blocks","from":0,"height":0,"blocks":[null]}']) {
+            const peer = { readyState: 1, closed: false, send() {}, close() { this.closed = true; } };
+            p2p.sockets.add(peer);
+            p2p.handleMessage(peer, data);
+            assert(peer.closed && !p2p.sockets.has(peer), `Should drop a peer that sent ${data}`);
+        }
+        assert(blockchain.chain.length === 1, 'Chain should be untouched');
+    } finally {
+        p2p.close();
+    }
+});
+
+// ============================================
+// PROOF OF STAKE TESTS
+// ============================================
+console.log('\n🔒 PROOF OF STAKE TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+function createPosBlockchain(validator) {
+    return new Blockchain({
+        genesis: {
+            ...testGenesis,
+            consensus: 'pos',
+            validators: [{ name: 'genesis-validator', address: validator.getAddress(), stake: 1000 }]
+        },
+        issuerKey: issuer.keyPair,
+        validatorKey: validator.keyPair
+    });
+}
+
+// Produce a block with whichever known validator the chain selected
+function proposeBlock(blockchain, validators) {
+    const proposer = validators.find(wallet => wallet.getAddress() === blockchain.getNextProposer());
+    blockchain.setValidatorKey(proposer.keyPair);
+    blockchain.minePendingTransactions(proposer.getAddress());
+}
+
+test('Selected validator signs blocks instead of mining', () => {
+    const validator = new Wallet();
+    const blockchain = createPosBlockchain(validator);
+
+    blockchain.minePendingTransactions(validator.getAddress());
+    const block = blockchain.getLatestBlock();
+
+    assert(block.validator === validator.getAddress(), 'Block should name its proposer');
+    assert(block.difficulty === 0 && block.hasValidSignature(), 'Block should be signed, not mined');
+    assert(blockchain.isChainValid(), 'Signed chain should be valid');
+});
+
+test('Node that is not the proposer cannot produce a block', () => {
+    const blockchain = createPosBlockchain(new Wallet());
+    const outsider = new Wallet();
+    blockchain.setValidatorKey(outsider.keyPair);
+
+    let errorThrown = false;
+    try {
+        blockchain.minePendingTransactions(outsider.getAddress());
+    } catch (error) {
+        errorThrown = true;
+    }
+
+    assert(errorThrown, 'Should refuse to sign out of turn');
+    assert(blockchain.chain.length === 1, 'Chain should be unchanged');
+});
+
+test('Block signed by an unselected validator is rejected', () => {
+    const validator = new Wallet();
+    const outsider = new Wallet();
+    const nodeA = createPosBlockchain(validator);
+    const nodeB = createPosBlockchain(validator);
+
+    nodeA.minePendingTransactions(validator.getAddress());
+    const block = Block.fromJSON(JSON.parse(JSON.stringify(nodeA.getLatestBlock())));
+    block.transactions[0].toAddress = outsider.getAddress();
+    block.signBlock(outsider.keyPair, outsider.getAddress());
+
+    let errorMessage = null;
+    try {
+        nodeB.addBlock(block);
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    assert(errorMessage && errorMessage.includes('proposer'), `Should reject the signer, got: ${errorMessage}`);
+});
+
+test('Stake bonds after the bonding period and unstakes back to balance', () => {
+    const validator = new Wallet();
+    const staker = new Wallet();
+    const validators = [validator, staker];
+    const blockchain = createPosBlockchain(validator);
+
+    blockchain.tokenizeEnergy(staker.getAddress(), 100, 'mixed');
+    proposeBlock(blockchain, validators);
+
+    const stakeTx = blockchain.stake(staker.getAddress(), 500);
+    stakeTx.signTransaction(staker.keyPair);
+    blockchain.addTransaction(stakeTx);
+    proposeBlock(blockchain, validators);
+
+    assert(blockchain.getBalanceOfAddress(staker.getAddress()) === 1000 - 500 - stakeTx.fee, 'Stake should leave the balance');
+    assert(!blockchain.validators.has(staker.getAddress()), 'Stake should not count while bonding');
+
+    for (let i = 0; i < 10; i++) {
+        proposeBlock(blockchain, validators);
+    }
+    assert(blockchain.validators.get(staker.getAddress()) === 500, 'Stake should count after the bonding period');
+
+    const unstakeTx = blockchain.unstake(staker.getAddress(), 500);
+    unstakeTx.signTransaction(staker.keyPair);
+    blockchain.addTransaction(unstakeTx);
+    proposeBlock(blockchain, validators);
+    assert(!blockchain.validators.has(staker.getAddress()), 'Unstaked funds should stop counting at once');
+
+    const lockedBalance = blockchain.getBalanceOfAddress(staker.getAddress());
+    for (let i = 0; i < 10; i++) {
+        proposeBlock(blockchain, validators);
+    }
+    assert(
+        blockchain.getBalanceOfAddress(staker.getAddress()) - lockedBalance >= 500,
+        'Unstaked funds should return after the bonding period'
+    );
+    assert(blockchain.isChainValid(), 'Staking chain should be valid');
+});
+
+test('Unstaking more than the active stake is rejected', () => {
+    const validator = new Wallet();
+    const blockchain = createPosBlockchain(validator);
+
+    const unstakeTx = blockchain.unstake(validator.getAddress(), 5000);
+    unstakeTx.signTransaction(validator.keyPair);
+
+    let errorMessage = null;
+    try {
+        blockchain.addTransaction(unstakeTx);
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    assert(errorMessage && errorMessage.includes('actively staked'), 'Should not unstake more than is staked');
+});
+
+// Sign a second, conflicting block on the same parent as the node's tip
+function signConflictingBlock(blockchain, validator) {
+    const conflicting = Block.fromJSON(JSON.parse(JSON.stringify(blockchain.getLatestBlock())));
+    conflicting.timestamp += 1;
+    conflicting.signBlock(validator.keyPair, conflicting.miningMetrics.minerAddress);
+    return conflicting;
+}
+
+test('Double signing is slashed and jailed', () => {
+    const first = new Wallet();
+    const second = new Wallet();
+    const reporter = new Wallet();
+    const validators = [first, second];
+    const blockchain = new Blockchain({
+        genesis: {
+            ...testGenesis,
+            consensus: 'pos',
+            slashFraction: 0.25,
+            validators: [
+                { name: 'first', address: first.getAddress(), stake: 1000 },
+                { name: 'second', address: second.getAddress(), stake: 1000 }
+            ]
+        }
+    });
+
+    proposeBlock(blockchain, validators);
+    const signed = blockchain.getLatestBlock();
+    const offender = validators.find(wallet => wallet.getAddress() === signed.validator);
+    const conflicting = signConflictingBlock(blockchain, offender);
+
+    const evidence = blockchain.reportDoubleSign(reporter.getAddress(), signed, conflicting);
+    evidence.signTransaction(reporter.keyPair);
+    blockchain.addTransaction(evidence);
+    proposeBlock(blockchain, validators);
+
+    const entry = blockchain.getValidatorRegistry().find(v => v.address === offender.getAddress());
+    assert(blockchain.validators.get(offender.getAddress()) === 750, 'A quarter of the stake should be burned');
+    assert(entry.jailed, 'Offender should be jailed');
+    assert(entry.slashes.length === 1 && entry.slashes[0].amount === 250, 'Slash should be recorded');
+    assert(blockchain.getNextProposer() !== offender.getAddress(), 'Jailed validator should not propose');
+    assert(blockchain.isChainValid(), 'Chain with evidence should be valid');
+
+    let duplicateRejected = false;
+    try {
+        blockchain.reportDoubleSign(reporter.getAddress(), conflicting, signed);
+    } catch (error) {
+        duplicateRejected = true;
+    }
+    assert(duplicateRejected, 'The same offence should not be slashed twice');
+});
+
+test('Unstaking after double signing does not escape the slash', () => {
+    const first = new Wallet();
+    const second = new Wallet();
+    const validators = [first, second];
+    const blockchain = new Blockchain({
+        genesis: {
+            ...testGenesis,
+            consensus: 'pos',
+            slashFraction: 0.25,
+            validators: [
+                { name: 'first', address: first.getAddress(), stake: 1000 },
+                { name: 'second', address: second.getAddress(), stake: 1000 }
+            ]
+        }
+    });
+
+    proposeBlock(blockchain, validators);
+    const signed = blockchain.getLatestBlock();
+    const offender = validators.find(wallet => wallet.getAddress() === signed.validator);
+    const conflicting = signConflictingBlock(blockchain, offender);
+
+    // The offender pulls its whole bond out before anyone reports it
+    submit(blockchain, blockchain.unstake(offender.getAddress(), 1000), offender);
+    proposeBlock(blockchain, validators);
+    assert(!blockchain.validators.has(offender.getAddress()), 'Offender should have no active stake left');
+
+    const reporter = new Wallet();
+    submit(blockchain, blockchain.reportDoubleSign(reporter.getAddress(), signed, conflicting), reporter);
+    proposeBlock(blockchain, validators);
+
+    const entry = blockchain.getValidatorRegistry().find(v => v.address === offender.getAddress());
+    assert(entry.unbonding === 750, 'A quarter of the unbonding stake should be burned');
+    assert(entry.jailed && entry.slashes[0].amount === 250, 'Slash should be recorded against the unbonding stake');
+    assert(blockchain.isChainValid(), 'Chain with evidence against unbonding stake should be valid');
+});
+
+test('Evidence for blocks at different heights is rejected', () => {
+    const validator = new Wallet();
+    const blockchain = createPosBlockchain(validator);
+
+    blockchain.minePendingTransactions(validator.getAddress());
+    blockchain.minePendingTransactions(validator.getAddress());
+
+    let errorMessage = null;
+    try {
+        blockchain.reportDoubleSign(new Wallet().getAddress(), blockchain.chain[1], blockchain.chain[2]);
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    assert(errorMessage && errorMessage.includes('same height'), `Should reject honest blocks, got: ${errorMessage}`);
+});
+
+// ============================================
+// METER ORACLE TESTS
+// ============================================
+console.log('\n📟 METER ORACLE TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+function createMint(toAddress) {
+    return new Transaction(null, toAddress, 150, TRANSACTION_TYPES.ENERGY_TRADE, {
+        energyAmount: 10,
+        energySource: 'renewable'
+    });
+}
+
+// Register a meter for a provider and confirm the registration
+function setupMeter(blockchain, meterId = 'meter-1') {
+    const meter = new Wallet();
+    const provider = new Wallet();
+    blockchain.registerMeter(meterId, meter.publicKey, provider.getAddress(), 'renewable', 1000);
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const read = (cumulativeKWh, timestamp = Date.now()) =>
+        signMeterReading({ meterId, cumulativeKWh, timestamp }, meter.keyPair);
+    return { meter, provider, read };
+}
+
+test('Meter readings tokenize the delta between readings', () => {
+    const blockchain = createBlockchain();
+    const { provider, read } = setupMeter(blockchain);
+
+    const first = blockchain.tokenizeMeterReading(read(1010, Date.now() + 1));
+    const second = blockchain.tokenizeMeterReading(read(1025, Date.now() + 2));
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    assert(first.energyAmount === 10 && second.energyAmount === 15, 'Each mint should be the counter delta');
+    assert(blockchain.getBalanceOfAddress(provider.getAddress()) === 25 * 10 * 1.5, 'Provider should get renewable tokens');
+    assert(blockchain.meterRegistry.getMeter('meter-1').lastReading.cumulativeKWh === 1025, 'Registry should advance');
+    assert(blockchain.isChainValid(), 'Meter-backed chain should be valid');
+});
+
+test('Rolled-back and duplicate meter readings are rejected', () => {
+    const blockchain = createBlockchain();
+    const { read } = setupMeter(blockchain);
+    blockchain.tokenizeMeterReading(read(1050, Date.now() + 1));
+
+    const attempt = (reading) => {
+        try {
+            blockchain.tokenizeMeterReading(reading);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    };
+
+    assert(attempt(read(1050, Date.now() + 2)).includes('Duplicate'), 'Should reject a repeated counter');
+    assert(attempt(read(1040, Date.now() + 3)).includes('rolls back'), 'Should reject a lower counter');
+});
+
+test('Reading signed by another key is rejected', () => {
+    const blockchain = createBlockchain();
+    setupMeter(blockchain);
+    const forged = signMeterReading({ meterId: 'meter-1', cumulativeKWh: 2000, timestamp: Date.now() + 1 }, new Wallet().keyPair);
+
+    let errorMessage = null;
+    try {
+        blockchain.tokenizeMeterReading(forged);
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    assert(errorMessage && errorMessage.includes('not signed by meter'), 'Should reject a forged reading');
+});
+
+test('Meter readings cannot be reread with shifted digits or odd timestamps', () => {
+    const blockchain = createBlockchain();
+    const { read } = setupMeter(blockchain, 'm1');
+
+    // Meter m1 at 23 kWh must not sign what meter m12 at 3 kWh would
+    assert(hashMeterReading({ meterId: 'm1', cumulativeKWh: 23, timestamp: 4 }) !==
+        hashMeterReading({ meterId: 'm12', cumulativeKWh: 3, timestamp: 4 }), 'Shifted digits should hash differently');
+
+    const stringTime = attemptError(() => blockchain.tokenizeMeterReading(read(1010, String(Date.now() + 1))));
+    assert(stringTime && stringTime.includes('timestamp must be an integer'), 'Should reject a string timestamp');
+    const negative = attemptError(() => blockchain.tokenizeMeterReading(read(-5, Date.now() + 1)));
+    assert(negative && negative.includes('non-negative'), 'Should reject a negative counter');
+
+    const next = blockchain.tokenizeMeterReading(read(1010, Date.now() + 2));
+    assert(next.energyAmount === 10, 'A well-formed reading should still be accepted afterwards');
+});
+
+test('Block with an inflated meter mint is rejected', () => {
+    const blockchain = createBlockchain();
+    const { provider, read } = setupMeter(blockchain);
+
+    const mint = createMint(provider.getAddress());
+    mint.energySource = 'renewable';
+    mint.metadata = { energyAmount: 500, energySource: 'renewable', meterReading: read(1010, Date.now() + 1) };
+    mint.energyAmount = 500;
+    mint.signAsIssuer(issuer.keyPair);
+    blockchain.mempool.restore([mint]);
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const error = blockchain.validateChain();
+    assert(error && error.reason.includes('meter delta'), `Should flag the inflated mint, got: ${error && error.reason}`);
+});
+
+test('Meter mint paying more tokens than its delta earns is rejected', () => {
+    const blockchain = createBlockchain();
+    const { provider, read } = setupMeter(blockchain);
+
+    // 10 kWh of renewable energy earns 150 tokens, not 150000
+    const mint = createMint(provider.getAddress());
+    mint.amount = 150000;
+    mint.metadata = { energyAmount: 10, energySource: 'renewable', meterReading: read(1010, Date.now() + 1) };
+    mint.signAsIssuer(issuer.keyPair);
+
+    const pooled = attemptError(() => blockchain.addTransaction(mint));
+    assert(pooled && pooled.includes('150000 tokens'), `Pool should reject the inflated amount, got: ${pooled}`);
+
+    blockchain.mempool.restore([mint]);
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const error = blockchain.validateChain();
+    assert(error && error.reason.includes('150000 tokens'), `Should flag the inflated amount, got: ${error && error.reason}`);
+});
+
+// ============================================
+// ISSUER TESTS
+// ============================================
+console.log('\n🔏 ISSUER TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('Unsigned mint is rejected by the pool and in blocks', () => {
+    const blockchain = createBlockchain();
+    const wallet = new Wallet();
+
+    let poolError = null;
+    try {
+        blockchain.addTransaction(createMint(wallet.getAddress()));
+    } catch (error) {
+        poolError = error.message;
+    }
+    assert(poolError && poolError.includes('Unsigned'), 'Pool should reject an unsigned mint');
+
+    blockchain.mempool.restore([createMint(wallet.getAddress())]);
+    blockchain.minePendingTransactions(wallet.getAddress());
+    assert(!blockchain.isChainValid(), 'Chain with an unsigned mint should be invalid');
+});
+
+test('Mint signed by an unauthorised issuer is rejected', () => {
+    const blockchain = createBlockchain();
+    const mint = createMint(new Wallet().getAddress());
+    mint.signAsIssuer(new Wallet().keyPair);
+
+    let errorMessage = null;
+    try {
+        blockchain.addTransaction(mint);
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    assert(errorMessage && errorMessage.includes('unauthorised'), 'Should reject an unknown issuer');
+});
+
+test('Node without an issuer key cannot tokenize energy', () => {
+    const blockchain = new Blockchain({ genesis: testGenesis });
+
+    let errorThrown = false;
+    try {
+        blockchain.tokenizeEnergy(new Wallet().getAddress(), 10, 'renewable');
+    } catch (error) {
+        errorThrown = true;
+    }
+
+    assert(errorThrown, 'Should refuse to mint without an issuer key');
+    assert(blockchain.mempool.size === 0, 'Nothing should reach the pool');
+});
+
+test('Issuer-signed mint is accepted by a peer', () => {
+    const nodeA = createBlockchain();
+    const nodeB = new Blockchain({ genesis: testGenesis });
+    const wallet = new Wallet();
+
+    const gossiped = [];
+    nodeA.on('transaction', tx => gossiped.push(JSON.parse(JSON.stringify(tx))));
+    nodeA.tokenizeEnergy(wallet.getAddress(), 10, 'renewable');
+
+    nodeB.addTransaction(Transaction.fromJSON(gossiped[0]));
+
+    assert(nodeB.mempool.size === 1, 'Peer should pool the signed mint');
+    assert(nodeB.energyProviders.get(wallet.getAddress()).totalEnergy === 10, 'Peer should track the provider');
+});
+
+// ============================================
+// RENEWABLE ENERGY CERTIFICATE TESTS
+// ============================================
+console.log('\n📜 RENEWABLE ENERGY CERTIFICATE TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+// Mint renewable energy to a fresh provider and confirm it
+function setupCertificates(blockchain, energyAmount = 2500) {
+    const provider = new Wallet();
+    blockchain.tokenizeEnergy(provider.getAddress(), energyAmount, 'renewable', { location: 'ES-AN' });
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+    return provider;
+}
+
+function submit(blockchain, tx, wallet) {
+    tx.signTransaction(wallet.keyPair);
+    blockchain.addTransaction(tx);
+    return tx;
+}
+
+function attemptError(build) {
+    try {
+        build();
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+test('Renewable mints issue one certificate per MWh', () => {
+    const blockchain = createBlockchain();
+    const provider = setupCertificates(blockchain);
+
+    let { held } = blockchain.getCertificates(provider.getAddress());
+    assert(held.length === 2, `2500 kWh should issue 2 certificates, got ${held.length}`);
+    assert(held[0].source === 'renewable' && held[0].location === 'ES-AN', 'Certificate should record source and location');
+    assert(/^\d{4}-\d{2}$/.test(held[0].vintage), 'Certificate should record its vintage');
+
+    blockchain.tokenizeEnergy(provider.getAddress(), 600, 'renewable', { location: 'ES-AN' });
+    blockchain.tokenizeEnergy(provider.getAddress(), 5000, 'fossil');
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    held = blockchain.getCertificates(provider.getAddress()).held;
+    assert(held.length === 3, 'Leftover kWh should carry into the next certificate; fossil energy earns none');
+});
+
+test('Relayed mint with rewritten energy fields earns no certificates', () => {
+    const nodeA = createBlockchain();
+    const nodeB = new Blockchain({ genesis: testGenesis });
+    const provider = new Wallet();
+
+    nodeA.tokenizeEnergy(provider.getAddress(), 10, 'fossil');
+    const relayed = JSON.parse(JSON.stringify(nodeA.pendingTransactions[0]));
+    relayed.energySource = 'renewable';
+    relayed.energyAmount = 50000;
+
+    nodeB.addTransaction(Transaction.fromJSON(relayed));
+    nodeB.minePendingTransactions(new Wallet().getAddress());
+
+    assert(nodeB.getCertificates(provider.getAddress()).held.length === 0, 'Fossil mint should earn no certificates');
+    assert(nodeB.totalEnergyTokenized === 10, `Only the signed 10 kWh should count, got ${nodeB.totalEnergyTokenized}`);
+    assert(nodeB.isChainValid(), 'Chain should stay valid');
+
+    // Even a copy tampered after receipt is judged by its signed metadata
+    const tampered = nodeB.getLatestBlock().transactions.find(tx => tx.issuer);
+    tampered.energySource = 'renewable';
+    tampered.energyAmount = 50000;
+    const registry = new CertificateRegistry();
+    registry.applyBlock(nodeB.getLatestBlock(), 1);
+    assert(registry.getCertificates(provider.getAddress()).held.length === 0, 'Registry should read the signed source');
+});
+
+test('Certificates transfer between wallets', () => {
+    const blockchain = createBlockchain();
+    const provider = setupCertificates(blockchain);
+    const buyer = new Wallet();
+    const [first, second] = blockchain.getCertificates(provider.getAddress()).held.map(c => c.id);
+
+    submit(blockchain, blockchain.transferCertificates(provider.getAddress(), buyer.getAddress(), [first]), provider);
+    const doubleTransfer = attemptError(() =>
+        submit(blockchain, blockchain.transferCertificates(provider.getAddress(), buyer.getAddress(), [first, second]), provider));
+    assert(doubleTransfer && doubleTransfer.includes('pending'), 'Pool should reject moving a certificate twice');
+
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    assert(blockchain.getCertificates(buyer.getAddress()).held[0].id === first, 'Buyer should hold the certificate');
+    assert(blockchain.getCertificates(provider.getAddress()).held.length === 1, 'Provider should keep the other');
+    assert(blockchain.isChainValid(), 'Chain with a REC transfer should be valid');
+});
+
+test('Certificates retire once against a compute allocation', () => {
+    const blockchain = createBlockchain();
+    const provider = setupCertificates(blockchain, 3000);
+    const ids = blockchain.getCertificates(provider.getAddress()).held.map(c => c.id);
+
+    // 5000 GPU hours is 1500 kWh: room for two certificates
+    const allocation = submit(blockchain, blockchain.allocateCompute(provider.getAddress(), new Wallet().getAddress(), 5000), provider);
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+    const allocationHash = allocation.calculateHash();
+
+    const tooMany = attemptError(() =>
+        submit(blockchain, blockchain.retireCertificates(provider.getAddress(), ids, allocationHash), provider));
+    assert(tooMany && tooMany.includes('only needs 2'), `Should cap retirement at the allocation's energy, got: ${tooMany}`);
+
+    submit(blockchain, blockchain.retireCertificates(provider.getAddress(), ids.slice(0, 2), allocationHash), provider);
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const { held, retired } = blockchain.getCertificates(provider.getAddress());
+    assert(retired.length === 2 && held.length === 1, 'Retired certificates should leave the held list');
+    assert(retired[0].retirement.computeAllocation === allocationHash, 'Retirement should record the allocation');
+
+    const again = attemptError(() =>
+        submit(blockchain, blockchain.retireCertificates(provider.getAddress(), [ids[0]], allocationHash), provider));
+    assert(again && again.includes('already been retired'), 'Should not retire a certificate twice');
+    assert(blockchain.isChainValid(), 'Chain with retirements should be valid');
+});
+
+test('Certificates cannot be retired against another wallet\'s allocation', () => {
+    const blockchain = createBlockchain();
+    const provider = setupCertificates(blockchain);
+    const other = setupCertificates(blockchain);
+    const [id] = blockchain.getCertificates(provider.getAddress()).held.map(c => c.id);
+
+    const allocation = submit(blockchain, blockchain.allocateCompute(other.getAddress(), new Wallet().getAddress(), 5000), other);
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const reason = attemptError(() =>
+        submit(blockchain, blockchain.retireCertificates(provider.getAddress(), [id], allocation.calculateHash()), provider));
+    assert(reason && reason.includes('own compute allocation'), `Should reject a foreign allocation, got: ${reason}`);
+});
+
+// ============================================
+// COMPUTE MARKETPLACE TESTS
+// ============================================
+console.log('\n🧾 COMPUTE MARKETPLACE TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+// Fund a buyer, post a confirmed job and return its id
+function setupComputeJob(blockchain, options = {}) {
+    const buyer = new Wallet();
+    const provider = new Wallet();
+    const miner = new Wallet().getAddress();
+
+    blockchain.tokenizeEnergy(buyer.getAddress(), 100, 'renewable');
+    blockchain.minePendingTransactions(miner);
+
+    const post = submit(blockchain, blockchain.postComputeJob(buyer.getAddress(), 10, 200, 'inference', options), buyer);
+    blockchain.minePendingTransactions(miner);
+
+    return { buyer, provider, miner, jobId: post.calculateHash() };
+}
+
+// Bid, accept the bid into escrow and confirm both
+function escrowComputeJob(blockchain, { buyer, provider, miner, jobId }, price = 150) {
+    const bid = submit(blockchain, blockchain.bidOnComputeJob(provider.getAddress(), jobId, price), provider);
+    blockchain.minePendingTransactions(miner);
+
+    submit(blockchain, blockchain.acceptComputeBid(buyer.getAddress(), jobId, bid.calculateHash()), buyer);
+    blockchain.minePendingTransactions(miner);
+}
+
+test('Compute job escrow is released to the provider on delivery', () => {
+    const blockchain = createBlockchain();
+    const job = setupComputeJob(blockchain);
+    const { buyer, provider, miner, jobId } = job;
+    const funded = blockchain.getBalanceOfAddress(buyer.getAddress());
+
+    escrowComputeJob(blockchain, job);
+    assert(blockchain.getBalanceOfAddress(buyer.getAddress()) < funded - 150, 'Escrow should leave the buyer');
+    assert(blockchain.getBalanceOfAddress(provider.getAddress()) === 0, 'Escrow should not reach the provider yet');
+
+    submit(blockchain, blockchain.submitComputeResult(provider.getAddress(), jobId, 'sha256:model-output'), provider);
+    blockchain.minePendingTransactions(miner);
+    submit(blockchain, blockchain.releaseComputeEscrow(buyer.getAddress(), jobId), buyer);
+    blockchain.minePendingTransactions(miner);
+
+    assert(blockchain.getBalanceOfAddress(provider.getAddress()) === 150, 'Provider should be paid the bid price');
+    assert(blockchain.computeMarket.getJob(jobId).status === 'released', 'Job should be settled');
+    assert(blockchain.isChainValid(), 'Chain with a full job lifecycle should be valid');
+});
+
+test('Compute job rejects bids over budget, bad proofs and early provider claims', () => {
+    const blockchain = createBlockchain();
+    const job = setupComputeJob(blockchain);
+    const { provider, miner, jobId } = job;
+
+    const overBudget = attemptError(() =>
+        submit(blockchain, blockchain.bidOnComputeJob(provider.getAddress(), jobId, 500), provider));
+    assert(overBudget && overBudget.includes('budget'), 'Should reject a bid over budget');
+
+    escrowComputeJob(blockchain, job);
+
+    const wrongSeed = generateComputeProof('not-the-job-id');
+    const badProof = attemptError(() =>
+        submit(blockchain, blockchain.submitComputeResult(provider.getAddress(), jobId, 'sha256:out', wrongSeed), provider));
+    assert(badProof && badProof.includes('job id'), `Should reject a proof for another seed, got: ${badProof}`);
+
+    submit(blockchain, blockchain.submitComputeResult(provider.getAddress(), jobId, 'sha256:out'), provider);
+    blockchain.minePendingTransactions(miner);
+
+    const early = attemptError(() =>
+        submit(blockchain, blockchain.releaseComputeEscrow(provider.getAddress(), jobId), provider));
+    assert(early && early.includes('claim escrow from block'), 'Provider must wait out the review period');
+});
+
+test('Escrow is refunded once a job misses its delivery deadline', () => {
+    const blockchain = createBlockchain();
+    const job = setupComputeJob(blockchain, { deliveryBlocks: 1 });
+    const { buyer, miner, jobId } = job;
+    const funded = blockchain.getBalanceOfAddress(buyer.getAddress());
+
+    escrowComputeJob(blockchain, job);
+
+    const early = attemptError(() =>
+        submit(blockchain, blockchain.refundComputeJob(buyer.getAddress(), jobId), buyer));
+    assert(early && early.includes('can be refunded after'), 'Refund should wait for the deadline');
+
+    blockchain.minePendingTransactions(miner);
+    submit(blockchain, blockchain.refundComputeJob(buyer.getAddress(), jobId), buyer);
+    blockchain.minePendingTransactions(miner);
+
+    const fees = funded - blockchain.getBalanceOfAddress(buyer.getAddress());
+    assert(fees > 0 && fees < 1, `Buyer should get the escrow back less fees, lost ${fees}`);
+    assert(blockchain.computeMarket.getJob(jobId).status === 'refunded', 'Job should be refunded');
+    assert(blockchain.isChainValid(), 'Chain with a refund should be valid');
+});
+
+await testAsync('Compute job routes return transactions clients can sign and submit', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'energyai-'));
+    process.env.DATA_DIR = dataDir;
+    const { default: app } = await import('./node.js');
+    const server = app.listen(0);
+
+    try {
+        const { port } = server.address();
+        const post = async (route, body) => {
+            const response = await fetch(`http://127.0.0.1:${port}${route}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const json = await response.json();
+            assert(json.success, `${route} failed: ${json.error}`);
+            return json;
+        };
+        // Sign exactly what the route built and submit it
+        const signAndSubmit = async (built, wallet) => {
+            const tx = Transaction.fromJSON(built.transaction);
+            tx.signTransaction(wallet.keyPair);
+            await post('/transaction/submit', { transaction: tx });
+            return tx;
+        };
+        const buyer = new Wallet();
+        const provider = new Wallet();
+        const mine = () => post('/mine', { minerAddress: buyer.getAddress() });
+
+        await mine();
+        const job = await signAndSubmit(await post('/compute/jobs', { buyerAddress: buyer.getAddress(), computeUnits: 1, budget: 20 }), buyer);
+        await mine();
+        const jobId = job.calculateHash();
+        const bid = await signAndSubmit(await post(`/compute/jobs/${jobId}/bids`, { providerAddress: provider.getAddress(), price: 15 }), provider);
+        await mine();
+        await signAndSubmit(await post(`/compute/jobs/${jobId}/accept`, { buyerAddress: buyer.getAddress(), bidId: bid.calculateHash() }), buyer);
+        await mine();
+
+        // The server builds the compute proof, so the client must get the whole transaction back
+        const result = await post(`/compute/jobs/${jobId}/result`, { providerAddress: provider.getAddress(), resultHash: 'sha256:output' });
+        assert(result.transaction.metadata.computeProof, 'Result should carry the compute proof the server built');
+        await signAndSubmit(result, provider);
+        await mine();
+
+        const { job: delivered } = await (await fetch(`http://127.0.0.1:${port}/compute/jobs/${jobId}`)).json();
+        assert(delivered.status === 'delivered', `Job should be delivered, got ${delivered.status}`);
+    } finally {
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+// ============================================
+// DISPUTE TESTS
+// ============================================
+console.log('\n⚖️  DISPUTE TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+// Job delivered on a network with three arbiters
+function setupDeliveredJob(options = {}) {
+    const arbiters = [new Wallet(), new Wallet(), new Wallet()];
+    const blockchain = new Blockchain({
+        genesis: {
+            ...testGenesis,
+            arbiters: arbiters.map((arbiter, i) => ({ name: `arbiter-${i}`, address: arbiter.getAddress() }))
+        },
+        issuerKey: issuer.keyPair
+    });
+
+    const job = setupComputeJob(blockchain, options);
+    escrowComputeJob(blockchain, job);
+    submit(blockchain, blockchain.submitComputeResult(job.provider.getAddress(), job.jobId, 'sha256:partial'), job.provider);
+    blockchain.minePendingTransactions(job.miner);
+
+    return { blockchain, arbiters, ...job };
+}
+
+test('Arbiter majority splits a disputed escrow at the median share', () => {
+    const { blockchain, arbiters, buyer, provider, miner, jobId } = setupDeliveredJob();
+    const beforeDispute = blockchain.getBalanceOfAddress(buyer.getAddress());
+
+    submit(blockchain, blockchain.disputeComputeJob(buyer.getAddress(), jobId, 'Only 3 of 10 GPU hours delivered'), buyer);
+    blockchain.minePendingTransactions(miner);
+    submit(blockchain, blockchain.postDisputeEvidence(provider.getAddress(), jobId, 'sha256:gpu-logs'), provider);
+    blockchain.minePendingTransactions(miner);
+
+    submit(blockchain, blockchain.voteOnDispute(arbiters[0].getAddress(), jobId, 0.2), arbiters[0]);
+    blockchain.minePendingTransactions(miner);
+    submit(blockchain, blockchain.voteOnDispute(arbiters[1].getAddress(), jobId, 0.4), arbiters[1]);
+    blockchain.minePendingTransactions(miner);
+
+    const { status, dispute } = blockchain.computeMarket.getJob(jobId);
+    assert(status === 'resolved' && Math.abs(dispute.outcome.providerShare - 0.3) < 1e-9, 'Two of three votes should settle at the median');
+    assert(Math.abs(blockchain.getBalanceOfAddress(provider.getAddress()) - 45) < 1e-9, 'Provider should get 30% of the escrow');
+    assert(blockchain.getBalanceOfAddress(buyer.getAddress()) - beforeDispute > 104, 'Buyer should get the rest back');
+    assert(dispute.evidence.length === 1, 'Evidence should be recorded');
+    assert(blockchain.getDisputes(provider.getAddress()).length === 1, 'Provider should see the dispute');
+    assert(blockchain.getDisputes(arbiters[1].getAddress()).length === 1, 'Arbiter should see the dispute');
+
+    const late = attemptError(() =>
+        submit(blockchain, blockchain.voteOnDispute(arbiters[2].getAddress(), jobId, 1), arbiters[2]));
+    assert(late && late.includes('not in dispute'), 'Votes after settlement should be rejected');
+    assert(blockchain.isChainValid(), 'Chain with a settled dispute should be valid');
+});
+
+test('Dispute without a quorum settles by default at its deadline', () => {
+    const { blockchain, arbiters, buyer, provider, miner, jobId } = setupDeliveredJob({ disputeBlocks: 2 });
+    const beforeDispute = blockchain.getBalanceOfAddress(buyer.getAddress());
+
+    submit(blockchain, blockchain.disputeComputeJob(buyer.getAddress(), jobId, 'Arbiters never answer'), buyer);
+    blockchain.minePendingTransactions(miner);
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.computeMarket.getJob(jobId).status === 'disputed', 'Dispute should stay open before its deadline');
+
+    const late = attemptError(() =>
+        submit(blockchain, blockchain.voteOnDispute(arbiters[0].getAddress(), jobId, 1), arbiters[0]));
+    assert(late && late.includes('not in dispute'), 'Votes for the deadline block should be rejected');
+
+    blockchain.minePendingTransactions(miner);
+    const { status, dispute } = blockchain.computeMarket.getJob(jobId);
+    assert(status === 'resolved' && dispute.outcome.timedOut, 'Dispute should settle at its deadline');
+    assert(dispute.outcome.providerShare === 0.5, 'Without votes the escrow should split evenly');
+    assert(blockchain.getBalanceOfAddress(provider.getAddress()) === 75, 'Provider should get half the escrow');
+    assert(blockchain.getBalanceOfAddress(buyer.getAddress()) - beforeDispute === 75, 'Buyer should get the other half');
+    assert(blockchain.isChainValid(), 'Chain with a timed-out dispute should be valid');
+});
+
+test('Only arbiters vote, and disputes need an arbiter set', () => {
+    const { blockchain, buyer, miner, jobId } = setupDeliveredJob();
+    submit(blockchain, blockchain.disputeComputeJob(buyer.getAddress(), jobId), buyer);
+    blockchain.minePendingTransactions(miner);
+
+    const outsider = new Wallet();
+    const vote = attemptError(() =>
+        submit(blockchain, blockchain.voteOnDispute(outsider.getAddress(), jobId, 1), outsider));
+    assert(vote && vote.includes('from an arbiter'), 'Non-arbiters should not vote');
+
+    const plain = createBlockchain();
+    const job = setupComputeJob(plain);
+    escrowComputeJob(plain, job);
+    submit(plain, plain.submitComputeResult(job.provider.getAddress(), job.jobId, 'sha256:out'), job.provider);
+    plain.minePendingTransactions(job.miner);
+
+    const noArbiters = attemptError(() =>
+        submit(plain, plain.disputeComputeJob(job.buyer.getAddress(), job.jobId), job.buyer));
+    assert(noArbiters && noArbiters.includes('No arbiters'), 'Disputes need configured arbiters');
+});
+
+// ============================================
+// REPUTATION TESTS
+// ============================================
+console.log('\n🏅 REPUTATION TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('Reputation is reproducible from the chain alone', () => {
+    const nodeA = createBlockchain();
+    const nodeB = createBlockchain();
+    const provider = new Wallet();
+
+    nodeA.tokenizeEnergy(provider.getAddress(), 50, 'renewable');
+    nodeA.minePendingTransactions(provider.getAddress());
+    nodeA.tokenizeEnergy(provider.getAddress(), 50, 'fossil');
+    nodeA.minePendingTransactions(provider.getAddress());
+    nodeB.replaceChain(nodeA.chain);
+
+    const local = nodeA.getReputation(provider.getAddress());
+    const peer = nodeB.getReputation(provider.getAddress());
+
+    assert(local.score > 0 && local.score === peer.score, 'Nodes with the same chain should agree on the score');
+    assert(local.stats.blocksMined === 2, 'Mined blocks should count');
+    assert(local.stats.renewableKWh === 50 && local.stats.energyKWh === 100, 'Renewable share should be measured from mints');
+});
+
+test('Renewable energy ranks above fossil, and lost disputes cost reputation', () => {
+    const blockchain = createBlockchain();
+    const green = new Wallet();
+    const brown = new Wallet();
+    blockchain.tokenizeEnergy(green.getAddress(), 100, 'renewable');
+    blockchain.tokenizeEnergy(brown.getAddress(), 100, 'fossil');
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    assert(blockchain.getReputation(green.getAddress()).score > blockchain.getReputation(brown.getAddress()).score,
+        'Renewable provider should score higher');
+
+    const { blockchain: market, arbiters, buyer, provider, miner, jobId } = setupDeliveredJob();
+    submit(market, market.disputeComputeJob(buyer.getAddress(), jobId), buyer);
+    market.minePendingTransactions(miner);
+    const before = market.getReputation(provider.getAddress()).score;
+
+    for (const arbiter of arbiters.slice(0, 2)) {
+        submit(market, market.voteOnDispute(arbiter.getAddress(), jobId, 0), arbiter);
+        market.minePendingTransactions(miner);
+    }
+
+    const after = market.getReputation(provider.getAddress());
+    assert(after.stats.disputesLost === 1, 'Lost dispute should be counted');
+    assert(after.score < before, `Score should drop after a lost dispute (${before} -> ${after.score})`);
+});
+
+test('Self-signed trades and self-paid compute earn no reputation', () => {
+    const blockchain = createBlockchain();
+    const provider = new Wallet();
+    const miner = new Wallet().getAddress();
+
+    blockchain.tokenizeEnergy(provider.getAddress(), 100, 'fossil');
+    blockchain.minePendingTransactions(miner);
+
+    const claim = new Transaction(provider.getAddress(), provider.getAddress(), 1, TRANSACTION_TYPES.ENERGY_TRADE, {
+        energyAmount: 1000000,
+        energySource: 'renewable'
+    });
+    claim.nonce = blockchain.getNextNonce(provider.getAddress());
+    submit(blockchain, claim, provider);
+    submit(blockchain, blockchain.allocateCompute(provider.getAddress(), provider.getAddress(), 10), provider);
+    blockchain.minePendingTransactions(miner);
+
+    const { stats, components } = blockchain.getReputation(provider.getAddress());
+    assert(stats.energyKWh === 100 && components.renewableShare === 0, 'Only the issuer mint should count as energy');
+    assert(stats.gpuHoursDelivered === 0, 'Paying yourself for compute should not count as a delivery');
+    assert(blockchain.getLatestBlock().energyData.totalEnergyConsumed < 1000000, 'Self-claimed kWh should not reach the block totals');
+});
+
+test('Compute allocations claiming more GPU hours than they pay for are rejected', () => {
+    const blockchain = createBlockchain();
+    const buyer = new Wallet();
+    const provider = new Wallet().getAddress();
+    const miner = new Wallet().getAddress();
+
+    blockchain.tokenizeEnergy(buyer.getAddress(), 10, 'mixed');
+    blockchain.minePendingTransactions(miner);
+
+    // Ten GPU hours cost 30 tokens; this one pays 3 and claims a thousand
+    const inflated = blockchain.allocateCompute(buyer.getAddress(), provider, 10);
+    inflated.metadata = { ...inflated.metadata, computeUnits: 1000, estimatedEnergy: 300 };
+    inflated.computeUnits = 1000;
+    inflated.amount = 3;
+    inflated.fee = 1;
+    inflated.signTransaction(buyer.keyPair);
+    const pooled = attemptError(() => blockchain.addTransaction(inflated));
+    assert(pooled && pooled.includes('costs 3000, not 3'), `Pool should reject the allocation, got: ${pooled}`);
+
+    blockchain.mempool.restore([inflated]);
+    blockchain.minePendingTransactions(miner);
+    const error = blockchain.validateChain();
+    assert(error && error.reason.includes('costs 3000'), `Block should be rejected, got: ${error && error.reason}`);
+});
+
+console.log('\n🌳 CARBON CREDIT REGISTRY TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('Issuances get consecutive serial ranges per project', () => {
+    const blockchain = createBlockchain();
+    const { owner, batchId } = setupCarbonProject(blockchain);
+
+    blockchain.issueCarbonCredits('reforest-1', 2025, 50);
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    const ids = blockchain.getCarbonCredits(owner.getAddress()).held.map(batch => batch.id);
+    assert(batchId === 'reforest-1-2025-1-100', `Unexpected first batch ${batchId}`);
+    assert(ids.includes('reforest-1-2025-101-150'), `Second issuance should continue the serials, got ${ids}`);
+
+    const future = attemptError(() => blockchain.issueCarbonCredits('reforest-1', 2999, 10));
+    assert(future && future.includes('vintage'), 'Should reject a vintage in the future');
+    const unknown = attemptError(() => blockchain.issueCarbonCredits('nowhere', 2025, 10));
+    assert(unknown && unknown.includes('not registered'), 'Should reject an unregistered project');
+});
+
+test('Partial purchases and transfers split the serial range', () => {
+    const blockchain = createBlockchain();
+    const { owner, batchId } = setupCarbonProject(blockchain);
+    const buyer = new Wallet();
+    const friend = new Wallet();
+    const miner = new Wallet().getAddress();
+
+    blockchain.tokenizeEnergy(buyer.getAddress(), 1000, 'renewable');
+    blockchain.minePendingTransactions(miner);
+    submit(blockchain, blockchain.purchaseCarbonCredit(buyer.getAddress(), batchId, 10), buyer);
+    blockchain.minePendingTransactions(miner);
+
+    const [bought] = blockchain.getCarbonCredits(buyer.getAddress()).held;
+    assert(bought.id === 'reforest-1-2025-1-10' && bought.quantity === 10, `Buyer should hold serials 1-10, got ${bought.id}`);
+    assert(blockchain.getCarbonCredits(owner.getAddress()).held[0].id === 'reforest-1-2025-11-100', 'Owner keeps the rest');
+    assert(blockchain.getBalanceOfAddress(owner.getAddress()) === 5000, 'Owner should be paid for the credits');
+
+    submit(blockchain, blockchain.transferCarbonCredits(buyer.getAddress(), friend.getAddress(), bought.id, 4), buyer);
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getCarbonCredits(friend.getAddress()).held[0].id === 'reforest-1-2025-1-4', 'Friend should hold serials 1-4');
+
+    const resale = attemptError(() => submit(blockchain,
+        blockchain.purchaseCarbonCredit(friend.getAddress(), 'reforest-1-2025-5-10', 1), friend));
+    assert(resale && resale.includes('project that issued them'), 'Only the issuing project sells credits');
+    assert(blockchain.isChainValid(), 'Chain with carbon credit moves should be valid');
+});
+
+test('Retirement counts as offset only once confirmed, and only once', () => {
+    const blockchain = createBlockchain();
+    const { owner, batchId } = setupCarbonProject(blockchain);
+    const miner = new Wallet().getAddress();
+
+    const retire = blockchain.retireCarbonCredits(owner.getAddress(), batchId, 30, 'Acme AI', '2025 training emissions');
+    submit(blockchain, retire, owner);
+    assert(blockchain.totalCarbonOffset === 0, 'Pending retirement should not count as offset');
+
+    const missing = attemptError(() => submit(blockchain,
+        blockchain.retireCarbonCredits(owner.getAddress(), batchId, 5, '', ''), owner));
+    assert(missing && missing.includes('beneficiary'), 'Should require a beneficiary and reason');
+
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.totalCarbonOffset === 30000, `Should count 30 t once mined, got ${blockchain.totalCarbonOffset}`);
+
+    const [retired] = blockchain.getCarbonCredits(owner.getAddress()).retired;
+    assert(retired.retirement.beneficiary === 'Acme AI' && retired.retirement.reason === '2025 training emissions',
+        'Retirement should record its beneficiary and reason');
+
+    const again = attemptError(() => submit(blockchain,
+        blockchain.retireCarbonCredits(owner.getAddress(), retired.id, 30, 'Acme AI', 'again'), owner));
+    assert(again && again.includes('retired'), 'Retired credits cannot move again');
+    const moved = attemptError(() => submit(blockchain,
+        blockchain.transferCarbonCredits(owner.getAddress(), new Wallet().getAddress(), retired.id, 1), owner));
+    assert(moved && moved.includes('retired'), 'Retired credits cannot be transferred');
+});
+
+// ============================================
+// MULTISIG TESTS
+// ============================================
+console.log('\n🔐 MULTISIG TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+// Create and fund a 2-of-3 account from a fresh creator and confirm it
+function setupMultisig(blockchain) {
+    const creator = new Wallet();
+    const members = [new Wallet(), new Wallet(), new Wallet()];
+    const miner = new Wallet().getAddress();
+    blockchain.tokenizeEnergy(creator.getAddress(), 1000, 'renewable');
+    blockchain.minePendingTransactions(miner);
+
+    const create = blockchain.createMultisigAccount(creator.getAddress(), 2, members.map(member => member.getAddress()), 100);
+    submit(blockchain, create, creator);
+    blockchain.minePendingTransactions(miner);
+
+    return { members, address: create.toAddress };
+}
+
+test('2-of-3 multisig spend needs two member signatures', () => {
+    const blockchain = createBlockchain();
+    const { members, address } = setupMultisig(blockchain);
+    const recipient = new Wallet().getAddress();
+
+    const account = blockchain.getMultisigAccount(address);
+    assert(account && account.threshold === 2 && account.members.length === 3, 'Account should be registered');
+    assert(blockchain.getBalanceOfAddress(address) === 100, 'Creation should fund the account');
+
+    const proposal = blockchain.proposeMultisigTransaction(address, recipient, 40);
+    proposal.signMultisig(members[2].keyPair);
+    const short = attemptError(() => blockchain.addTransaction(proposal));
+    assert(short && short.includes('1 of 2 required signatures'), `Should reject one signature, got ${short}`);
+
+    // A co-signer signs a copy received over the wire
+    const copy = Transaction.fromJSON(JSON.parse(JSON.stringify(proposal)));
+    copy.signMultisig(members[0].keyPair);
+    blockchain.addTransaction(copy);
+    blockchain.minePendingTransactions(new Wallet().getAddress());
+
+    assert(blockchain.getBalanceOfAddress(recipient) === 40, 'Recipient should receive the spend');
+    assert(blockchain.getBalanceOfAddress(address) === 100 - 40 - copy.fee, 'Account should pay the spend and fee');
+    assert(blockchain.isChainValid(), 'Chain with multisig spends should be valid');
+});
+
+test('Multisig rejects outsiders, repeat signers, unregistered accounts and forged key sets', () => {
+    const blockchain = createBlockchain();
+    const { members, address } = setupMultisig(blockchain);
+    const outsider = new Wallet();
+
+    const proposal = blockchain.proposeMultisigTransaction(address, outsider.getAddress(), 10);
+    const notMember = attemptError(() => proposal.signMultisig(outsider.keyPair));
+    assert(notMember && notMember.includes('not from a member'), 'Should reject a non-member signature');
+    proposal.signMultisig(members[1].keyPair);
+    const twice = attemptError(() => proposal.signMultisig(members[1].keyPair));
+    assert(twice && twice.includes('already signed'), 'Should reject a second signature from the same member');
+
+    proposal.signatures.push(proposal.signatures[0]);
+    assert(!proposal.isValid(), 'A repeated signature should not count twice');
+
+    // The outsider declares a 1-of-1 key set but keeps the real account's address
+    const forged = blockchain.proposeMultisigTransaction(address, outsider.getAddress(), 10);
+    forged.multisig = { threshold: 1, members: [outsider.getAddress()] };
+    forged.signMultisig(outsider.keyPair);
+    assert(!forged.isValid(), 'A key set that does not hash to the sender should not verify');
+
+    const unregistered = attemptError(() => blockchain.proposeMultisigTransaction(
+        new Wallet().getAddress(), outsider.getAddress(), 10));
+    assert(unregistered && unregistered.includes('not a registered multisig account'), 'Should reject an unregistered account');
+
+    const duplicate = attemptError(() => blockchain.createMultisigAccount(
+        outsider.getAddress(), 1, [outsider.getAddress(), outsider.getAddress()]));
+    assert(duplicate && duplicate.includes('distinct'), 'Should reject repeated members');
+    const threshold = attemptError(() => blockchain.createMultisigAccount(
+        outsider.getAddress(), 3, members.slice(0, 2).map(member => member.getAddress())));
+    assert(threshold && threshold.includes('Threshold'), 'Should reject a threshold above the member count');
+});
+
+// ============================================
+// SCHEDULED PAYMENT TESTS
+// ============================================
+console.log('\n⏳ SCHEDULED PAYMENT TESTS');
+console.log('─────────────────────────────────────────────────────────\n');
+
+test('Time-locked transfer waits in the scheduled pool until its height', () => {
+    const blockchain = createBlockchain();
+    const sender = setupCertificates(blockchain, 100);
+    const recipient = new Wallet().getAddress();
+    const miner = new Wallet().getAddress();
+
+    const locked = blockchain.createTimeLockedTransfer(sender.getAddress(), recipient, 10, blockchain.chain.length + 2);
+    submit(blockchain, locked, sender);
+    assert(blockchain.getScheduledTransactions(sender.getAddress()).length === 1, 'Should wait in the scheduled pool');
+    assert(blockchain.pendingTransactions.length === 0, 'Should not be pending before its height');
+
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getBalanceOfAddress(recipient) === 0, 'Should not be mined before its height');
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.pendingTransactions.includes(locked), 'Should be pending once the next block may include it');
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getBalanceOfAddress(recipient) === 10, 'Should be mined at its height');
+    assert(blockchain.getLatestBlock().transactions.includes(locked), 'Should be in the block at its height');
+
+    // Even if a time-locked transaction reaches the pending pool, mining leaves it there
+    const timed = new Transaction(sender.getAddress(), recipient, 1);
+    timed.nonce = blockchain.getNextNonce(sender.getAddress(), true);
+    timed.notBefore = Date.now() + 60 * 60 * 1000;
+    timed.signTransaction(sender.keyPair);
+    blockchain.mempool.restore([timed]);
+    blockchain.minePendingTransactions(miner);
+    assert(!blockchain.getLatestBlock().transactions.includes(timed), 'Should never mine a transaction early');
+    assert(blockchain.isChainValid(), 'Chain with time-locked transactions should be valid');
+});
+
+test('Sender keeps paying while a transfer is scheduled', () => {
+    const blockchain = createBlockchain();
+    const sender = setupCertificates(blockchain, 100);
+    const landlord = new Wallet().getAddress();
+    const shop = new Wallet().getAddress();
+    const miner = new Wallet().getAddress();
+
+    const rent = submit(blockchain,
+        blockchain.createTimeLockedTransfer(sender.getAddress(), landlord, 10, blockchain.chain.length + 3), sender);
+    const later = submit(blockchain,
+        blockchain.createTimeLockedTransfer(sender.getAddress(), landlord, 5, blockchain.chain.length + 2), sender);
+    assert(later.nonce === rent.nonce + 1, 'Scheduled transfers should follow each other');
+
+    const payment = new Transaction(sender.getAddress(), shop, 7);
+    payment.nonce = blockchain.getNextNonce(sender.getAddress());
+    submit(blockchain, payment, sender);
+    assert(payment.nonce === rent.nonce, 'Ordinary payments should not wait for the scheduled nonce');
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getBalanceOfAddress(shop) === 7, 'Ordinary payment should be mined straight away');
+    assert(blockchain.getScheduledTransactions(sender.getAddress()).length === 2, 'Scheduled transfers should still wait');
+
+    // The later nonce is due first but waits for the one before it
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getBalanceOfAddress(landlord) === 0, 'Should not mine a scheduled nonce out of order');
+    blockchain.minePendingTransactions(miner);
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getBalanceOfAddress(landlord) === 15, 'Both scheduled transfers should be mined once due');
+    assert(blockchain.getScheduledTransactions(sender.getAddress()).length === 0, 'Nothing should be left scheduled');
+    assert(blockchain.isChainValid(), 'Chain with both nonce sequences should be valid');
+});
+
+test('Scheduled pool only holds funded transactions due within the horizon', () => {
+    const blockchain = createBlockchain();
+    const sender = setupCertificates(blockchain, 100);
+    const pauper = new Wallet();
+    const recipient = new Wallet().getAddress();
+    const height = blockchain.chain.length + 2;
+
+    const unfunded = attemptError(() => submit(blockchain,
+        blockchain.createTimeLockedTransfer(pauper.getAddress(), recipient, 50, height), pauper));
+    assert(unfunded && unfunded.includes('Insufficient balance'), 'Should reject unfunded scheduled transfers');
+
+    const cheap = blockchain.createTimeLockedTransfer(sender.getAddress(), recipient, 50, height);
+    cheap.fee = 0;
+    const fee = attemptError(() => submit(blockchain, cheap, sender));
+    assert(fee && fee.includes('below the minimum'), 'Should reject scheduled transfers below the minimum fee');
+
+    const farHeight = blockchain.chain.length + BLOCKCHAIN_CONFIG.MAX_SCHEDULE_AHEAD_BLOCKS + 1;
+    const tooLate = attemptError(() => submit(blockchain,
+        blockchain.createTimeLockedTransfer(sender.getAddress(), recipient, 1, farHeight), sender));
+    assert(tooLate && tooLate.includes('too far ahead'), 'Should reject heights past the horizon');
+    const farTime = Date.now() + BLOCKCHAIN_CONFIG.MAX_SCHEDULE_AHEAD_TIME + 60 * 60 * 1000;
+    const tooLong = attemptError(() => submit(blockchain,
+        blockchain.createTimeLockedTransfer(sender.getAddress(), recipient, 1, farTime), sender));
+    assert(tooLong && tooLong.includes('too far ahead'), 'Should reject timestamps past the horizon');
+
+    // Scheduled transfers count against each other
+    const share = blockchain.getBalanceOfAddress(sender.getAddress()) * 0.6;
+    submit(blockchain, blockchain.createTimeLockedTransfer(sender.getAddress(), recipient, share, height), sender);
+    const overspend = attemptError(() => submit(blockchain,
+        blockchain.createTimeLockedTransfer(sender.getAddress(), recipient, share, height), sender));
+    assert(overspend && overspend.includes('Insufficient balance'), 'Should not schedule more than the sender holds');
+    assert(blockchain.scheduledPool.size === 1, 'Only the funded transfer should be scheduled');
+});
 
-    assert(blockchain.totalCarbonOffset > initialOffset, 'Should track carbon offset');
+test('Payment stream pays each interval and refunds the rest on cancel', () => {
+    const blockchain = createBlockchain();
+    const payer = setupCertificates(blockchain, 100);
+    const recipient = new Wallet();
+    const miner = new Wallet().getAddress();
+    const startBalance = blockchain.getBalanceOfAddress(payer.getAddress());
+
+    const open = submit(blockchain, blockchain.openPaymentStream(payer.getAddress(), recipient.getAddress(), 5, 2, 20), payer);
+    blockchain.minePendingTransactions(miner);
+    const [stream] = blockchain.getPaymentStreams(recipient.getAddress());
+    assert(stream && stream.id === open.calculateHash() && stream.status === 'active', 'Stream should be open');
+    assert(blockchain.getBalanceOfAddress(recipient.getAddress()) === 0, 'Deposit should be locked, not paid');
+
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getBalanceOfAddress(recipient.getAddress()) === 0, 'Should not pay before the interval');
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getBalanceOfAddress(recipient.getAddress()) === 5, 'Should pay once per interval');
+
+    const outsider = attemptError(() => submit(blockchain,
+        blockchain.cancelPaymentStream(recipient.getAddress(), stream.id), recipient));
+    assert(outsider && outsider.includes('only be cancelled by its payer'), 'Only the payer may cancel');
+
+    const cancel = submit(blockchain, blockchain.cancelPaymentStream(payer.getAddress(), stream.id), payer);
+    blockchain.minePendingTransactions(miner);
+    blockchain.minePendingTransactions(miner);
+    assert(blockchain.getBalanceOfAddress(recipient.getAddress()) === 5, 'Should stop paying once cancelled');
+    assert(blockchain.getBalanceOfAddress(payer.getAddress()) === startBalance - 5 - open.fee - cancel.fee,
+        'Unpaid deposit should return to the payer');
+    assert(blockchain.getPaymentStreams(payer.getAddress())[0].status === 'cancelled', 'Stream should be cancelled');
+    assert(blockchain.isChainValid(), 'Chain with payment streams should be valid');
 });
 
 // ============================================
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import EC from 'elliptic';
+import { BLOCKCHAIN_CONFIG } from '../core/Constants.js';
+
+const ec = new EC.ec('secp256k1');
+
+/**
+ * Addresses and recoverable signatures
+ *
+ * An address is the network prefix followed by Base58 of
+ * RIPEMD160(SHA256(compressed public key)) and a 4-byte checksum, e.g.
+ * "EAI3Jt4xq...". The checksum covers the prefix, so a mistyped address or
+ * one from another network is rejected before funds are sent to it.
+ *
+ * Signatures are r || s || recovery id (65 bytes, hex) so the signer's
+ * public key, and from it the address, can be recovered for verification.
+ *
+ * A multisig account's address hashes its threshold and sorted member
+ * addresses instead of a public key, so it commits to its key set.
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const PAYLOAD_BYTES = 20;
+const CHECKSUM_BYTES = 4;
+
+function base58Encode(buffer) {
+    let value = BigInt(`0x${buffer.toString('hex') || '0'}`);
+    let encoded = '';
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+
+    // Leading zero bytes are kept as '1's
+    for (const byte of buffer) {
+        if (byte !== 0) break;
+        encoded = `1${encoded}`;
+    }
+    return encoded;
+}
+
+function base58Decode(text) {
+    let value = 0n;
+    for (const char of text) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit < 0) {
+            return null;
+        }
+        value = value * 58n + BigInt(digit);
+    }
+
+    let hex = value > 0n ? value.toString(16) : '';
+    if (hex.length % 2) {
+        hex = `0${hex}`;
+    }
+    const leadingZeros = text.length - text.replace(/^1+/, '').length;
+    return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+}
+
+function checksum(prefix, payload) {
+    const once = crypto.createHash('sha256').update(Buffer.concat([Buffer.from(prefix, 'utf8'), payload])).digest();
+    return crypto.createHash('sha256').update(once).digest().subarray(0, CHECKSUM_BYTES);
+}
+
+function hash160(data) {
+    return crypto.createHash('ripemd160')
+        .update(crypto.createHash('sha256').update(data).digest())
+        .digest();
+}
+
+function encodeAddress(payload, prefix) {
+    return prefix + base58Encode(Buffer.concat([payload, checksum(prefix, payload)]));
+}
+
+/**
+ * Address of a secp256k1 public key (hex, compressed or uncompressed)
+ */
+export function publicKeyToAddress(publicKey, prefix = BLOCKCHAIN_CONFIG.ADDRESS_PREFIX) {
+    const compressed = Buffer.from(ec.keyFromPublic(publicKey, 'hex').getPublic(true, 'hex'), 'hex');
+    return encodeAddress(hash160(compressed), prefix);
+}
+
+/**
+ * Address of an M-of-N multisig account (member order does not matter)
+ */
+export function multisigAddress(threshold, members, prefix = BLOCKCHAIN_CONFIG.ADDRESS_PREFIX) {
+    const descriptor = `multisig:${threshold}:${[...members].sort().join(',')}`;
+    return encodeAddress(hash160(Buffer.from(descriptor, 'utf8')), prefix);
+}
+
+/**
+ * Address of an elliptic key pair
+ */
+export function keyToAddress(key) {
+    return publicKeyToAddress(key.getPublic(true, 'hex'));
+}
+
+/**
+ * Check an address's prefix, encoding and checksum
+ */
+export function isValidAddress(address, prefix = BLOCKCHAIN_CONFIG.ADDRESS_PREFIX) {
+    if (typeof address !== 'string' || !address.startsWith(prefix)) {
+        return false;
+    }
+
+    const decoded = base58Decode(address.slice(prefix.length));
+    if (!decoded || decoded.length !== PAYLOAD_BYTES + CHECKSUM_BYTES) {
+        return false;
+    }
+
+    const payload = decoded.subarray(0, PAYLOAD_BYTES);
+    return checksum(prefix, payload).equals(decoded.subarray(PAYLOAD_BYTES));
+}
+
+/**
+ * Sign a hex hash with a recoverable signature
+ * @returns {string} r || s || recovery id, hex
+ */
+export function signHash(key, hash) {
+    const signature = key.sign(hash, { canonical: true });
+    return signature.r.toString(16, 64) +
+        signature.s.toString(16, 64) +
+        signature.recoveryParam.toString(16).padStart(2, '0');
+}
+
+/**
+ * Recover the signer's address from a hash and recoverable signature
+ * @returns {string|null} null if the signature is malformed
+ */
+export function recoverAddress(hash, signature) {
+    if (typeof signature !== 'string' || !/^[0-9a-f]{130}$/i.test(signature)) {
+        return null;
+    }
+
+    const recoveryParam = parseInt(signature.slice(128), 16);
+    if (recoveryParam > 3) {
+        return null;
+    }
+
+    try {
+        const publicKey = ec.recoverPubKey(
+            Buffer.from(hash, 'hex'), // Signing reads the hash as hex; recovery takes bytes
+            { r: signature.slice(0, 64), s: signature.slice(64, 128) },
+            recoveryParam
+        );
+        return publicKeyToAddress(publicKey.encode('hex', true));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check a recoverable signature over a hash was made by an address's key
+ */
+export function verifySignature(hash, signature, address) {
+    return Boolean(address) && recoverAddress(hash, signature) === address;
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import { BLOCKCHAIN_CONFIG } from '../core/Constants.js';
+import { ValidationError } from './Validation.js';
+
+/**
+ * Grid carbon intensity tables
+ *
+ * A table maps each grid region to 24 hour-of-day (UTC) intensities in
+ * gCO2/kWh. Energy drawn from the grid ('mixed') uses the entry for its
+ * region and hour; dedicated sources use their lifecycle intensity.
+ *
+ * Tables load from JSON ({ defaultRegion, regions: { REGION: [24 values] } })
+ * or CSV (region,hour,gco2_per_kwh). The default table ships in
+ * src/config/carbon-intensity.json so tests run offline.
+ */
+
+/**
+ * Parse a numeric CSV field; blank fields are NaN, not 0
+ * @private
+ */
+function parseNumber(field) {
+    return field === undefined || field === '' ? NaN : Number(field);
+}
+
+export const DEFAULT_CARBON_INTENSITY_FILE = new URL('../config/carbon-intensity.json', import.meta.url);
+
+export class CarbonIntensityTable {
+    /**
+     * @param {Object} table
+     * @param {Object<string, number[]>} table.regions - Region -> 24 hourly gCO2/kWh values
+     * @param {string} table.defaultRegion - Used for blocks and transactions without a known region
+     * @param {Object<string, number>} table.sources - Lifecycle gCO2/kWh per dedicated source
+     */
+    constructor({ regions, defaultRegion, sources = {} }) {
+        if (!regions || typeof regions !== 'object' || Object.keys(regions).length === 0) {
+            throw new ValidationError('Carbon intensity table needs at least one region', 'regions');
+        }
+
+        for (const [region, hourly] of Object.entries(regions)) {
+            if (!Array.isArray(hourly) || hourly.length !== 24 || !hourly.every(value => Number.isFinite(value) && value >= 0)) {
+                throw new ValidationError(`Region ${region} needs 24 non-negative hourly gCO2/kWh values`, 'regions');
+            }
+        }
+
+        this.regions = regions;
+        this.defaultRegion = defaultRegion || Object.keys(regions)[0];
+        if (!this.regions[this.defaultRegion]) {
+            throw new ValidationError(`Default region ${this.defaultRegion} is not in the table`, 'defaultRegion');
+        }
+
+        this.sources = { ...BLOCKCHAIN_CONFIG.SOURCE_CARBON_INTENSITY, ...sources };
+    }
+
+    /**
+     * Parse CSV rows of region,hour,gco2_per_kwh (header optional)
+     */
+    static fromCSV(text, options = {}) {
+        const regions = {};
+
+        for (const [index, line] of text.split(/\r?\n/).entries()) {
+            const fields = line.split(',').map(field => field.trim());
+            if (!line.trim() || (index === 0 && isNaN(Number(fields[1])))) {
+                continue;
+            }
+
+            const [region, hour, intensity] = fields;
+            const hourOfDay = parseNumber(hour);
+            const gramsPerKWh = parseNumber(intensity);
+            if (!region || !Number.isInteger(hourOfDay) || hourOfDay < 0 || hourOfDay > 23 ||
+                !Number.isFinite(gramsPerKWh) || gramsPerKWh < 0) {
+                throw new ValidationError(`Invalid carbon intensity row ${index + 1}: ${line}`, 'regions');
+            }
+
+            regions[region] = regions[region] || new Array(24).fill(undefined);
+            regions[region][hourOfDay] = gramsPerKWh;
+        }
+
+        return new CarbonIntensityTable({ ...options, regions });
+    }
+
+    getRegions() {
+        return Object.keys(this.regions);
+    }
+
+    /**
+     * Carbon intensity of energy used in a region at a time
+     * @param {string} region - Grid region (unknown regions use the default)
+     * @param {number} timestamp - When the energy was used (ms since epoch)
+     * @returns {number} gCO2/kWh
+     */
+    getIntensity(region, timestamp = Date.now(), energySource = 'mixed') {
+        if (this.sources[energySource] !== undefined) {
+            return this.sources[energySource];
+        }
+
+        const hourly = this.regions[region] || this.regions[this.defaultRegion];
+        return hourly[new Date(timestamp).getUTCHours()];
+    }
+}
+
+/**
+ * Load a carbon intensity table from a .json or .csv file
+ * @throws {ValidationError} if the file cannot be read or is malformed
+ */
+export function loadCarbonIntensityTable(filePath = DEFAULT_CARBON_INTENSITY_FILE) {
+    let text;
+    let table;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+        table = String(filePath).toLowerCase().endsWith('.csv') ? null : JSON.parse(text);
+    } catch (error) {
+        throw new ValidationError(`Cannot read carbon intensity file ${filePath}: ${error.message}`, 'carbonIntensity');
+    }
+
+    return table ? new CarbonIntensityTable(table) : CarbonIntensityTable.fromCSV(text);
+}
+
+let defaultTable = null;
+
+/**
+ * The shipped table, loaded once
+ */
+export function getDefaultCarbonIntensityTable() {
+    if (!defaultTable) {
+        defaultTable = loadCarbonIntensityTable();
+    }
+    return defaultTable;
+}
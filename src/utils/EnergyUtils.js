@@ -1,4 +1,5 @@
 import { BLOCKCHAIN_CONFIG } from '../core/Constants.js';
+import { getDefaultCarbonIntensityTable } from './CarbonIntensity.js';
 
 /**
  * Energy calculation utilities
@@ -33,6 +34,21 @@ export function calculateEnergyBonus(energySource, efficiencyScore, aiWorkloadTy
     return bonus;
 }
 
+/**
+ * Calculate the tokens minted for tokenized energy, with the source bonus
+ * @returns {{tokens: number, bonus: number}}
+ */
+export function calculateEnergyTokens(energyAmount, energySource, rate = BLOCKCHAIN_CONFIG.ENERGY_TO_TOKEN_RATE) {
+    let bonus = 1.0;
+    if (energySource === 'renewable') {
+        bonus = BLOCKCHAIN_CONFIG.RENEWABLE_ENERGY_BONUS;
+    } else if (energySource === 'nuclear') {
+        bonus = BLOCKCHAIN_CONFIG.NUCLEAR_ENERGY_BONUS;
+    }
+
+    return { tokens: energyAmount * rate * bonus, bonus };
+}
+
 /**
  * Estimate energy consumption for mining
  */
@@ -44,27 +60,13 @@ export function estimateEnergyConsumption(timeInSeconds = 1) {
 
 /**
  * Calculate carbon footprint from energy consumption
+ * @param {{region: string, timestamp: number}} usage - Grid region and time the energy was used
+ * @param {CarbonIntensityTable} table - Intensity table (defaults to the shipped one)
+ * @returns {number} kg CO2
  */
-export function calculateCarbonFootprint(energyKWh, energySource = 'mixed') {
-    let multiplier = BLOCKCHAIN_CONFIG.CO2_PER_KWH;
-
-    // Adjust based on energy source
-    switch (energySource) {
-        case 'renewable':
-            multiplier *= 0.1; // 90% reduction
-            break;
-        case 'nuclear':
-            multiplier *= 0.2; // 80% reduction
-            break;
-        case 'fossil':
-            multiplier *= 1.5; // 50% increase
-            break;
-        default:
-            // mixed - use default
-            break;
-    }
-
-    return energyKWh * multiplier;
+export function calculateCarbonFootprint(energyKWh, energySource = 'mixed', usage = {}, table = getDefaultCarbonIntensityTable()) {
+    const gramsPerKWh = table.getIntensity(usage.region, usage.timestamp, energySource);
+    return (energyKWh * gramsPerKWh) / 1000;
 }
 
 /**
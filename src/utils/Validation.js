@@ -1,4 +1,5 @@
 import { VALIDATION_LIMITS } from '../core/Constants.js';
+import { isValidAddress } from './Address.js';
 
 /**
  * Input validation utilities for blockchain operations
@@ -11,6 +12,18 @@ export class ValidationError extends Error {
     }
 }
 
+/**
+ * Raised when a chain (stored, received or local) fails validation
+ * `height` points at the first offending block
+ */
+export class ChainValidationError extends Error {
+    constructor(message, height = null) {
+        super(message);
+        this.name = 'ChainValidationError';
+        this.height = height;
+    }
+}
+
 /**
  * Validate transaction amount
  */
@@ -119,8 +132,36 @@ export function validateAddress(address, fieldName = 'address') {
         throw new ValidationError(`${fieldName} must be a valid string`, fieldName);
     }
 
-    if (address.length < 10) {
-        throw new ValidationError(`${fieldName} is too short`, fieldName);
+    // Prefix, encoding and checksum catch typos and non-addresses like 'CARBON_OFFSET_POOL'
+    if (!isValidAddress(address)) {
+        throw new ValidationError(`${fieldName} is not a valid address (check for typos)`, fieldName);
+    }
+
+    return true;
+}
+
+/**
+ * Validate an M-of-N multisig key set
+ */
+export function validateMultisigAccount(threshold, members) {
+    if (!Array.isArray(members) || members.length === 0) {
+        throw new ValidationError('Multisig members must be a non-empty list of addresses', 'members');
+    }
+
+    if (members.length > VALIDATION_LIMITS.MAX_MULTISIG_MEMBERS) {
+        throw new ValidationError(
+            `A multisig account can have at most ${VALIDATION_LIMITS.MAX_MULTISIG_MEMBERS} members`,
+            'members'
+        );
+    }
+
+    members.forEach((member, index) => validateAddress(member, `members[${index}]`));
+    if (new Set(members).size !== members.length) {
+        throw new ValidationError('Multisig members must be distinct', 'members');
+    }
+
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > members.length) {
+        throw new ValidationError(`Threshold must be an integer from 1 to ${members.length}`, 'threshold');
     }
 
     return true;
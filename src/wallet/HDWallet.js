@@ -0,0 +1,73 @@
+import { generateMnemonic, mnemonicToSeedSync, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { HDKey } from '@scure/bip32';
+import Wallet from './Wallet.js';
+import { BLOCKCHAIN_CONFIG } from '../core/Constants.js';
+import { ValidationError } from '../utils/Validation.js';
+
+const MAX_ACCOUNT_INDEX = 0x7fffffff; // Non-hardened BIP-32 indices
+
+/**
+ * HDWallet - Many accounts from one BIP-39 recovery phrase
+ *
+ * The phrase (plus optional passphrase) seeds a BIP-32 key tree; account
+ * `i` is the secp256k1 key at `${basePath}/i`. Backing up the phrase backs
+ * up every account, so a provider can give each meter or site its own
+ * address and recover them all together.
+ */
+class HDWallet {
+    /**
+     * @param {string} mnemonic - English BIP-39 phrase
+     * @param {string} passphrase - Optional extra word ("25th word")
+     * @param {string} basePath - Derivation path the account index is appended to
+     * @throws {ValidationError} if the phrase is not a valid BIP-39 mnemonic
+     */
+    constructor(mnemonic, passphrase = '', basePath = BLOCKCHAIN_CONFIG.HD_DERIVATION_PATH) {
+        const phrase = typeof mnemonic === 'string' ? mnemonic.trim().split(/\s+/).join(' ') : '';
+        if (!validateMnemonic(phrase, wordlist)) {
+            throw new ValidationError('Invalid mnemonic phrase (unknown word or bad checksum)', 'mnemonic');
+        }
+
+        this.mnemonic = phrase;
+        this.basePath = basePath;
+        this.root = HDKey.fromMasterSeed(mnemonicToSeedSync(phrase, passphrase));
+    }
+
+    /**
+     * Create a wallet with a new random recovery phrase
+     * @param {number} strength - Entropy bits (128 = 12 words ... 256 = 24 words)
+     */
+    static generate(strength = BLOCKCHAIN_CONFIG.MNEMONIC_STRENGTH, passphrase = '') {
+        return new HDWallet(generateMnemonic(wordlist, strength), passphrase);
+    }
+
+    static isValidMnemonic(mnemonic) {
+        return typeof mnemonic === 'string' && validateMnemonic(mnemonic.trim().split(/\s+/).join(' '), wordlist);
+    }
+
+    /**
+     * Derive the account at an index
+     * @returns {Wallet} Wallet carrying its accountIndex and derivationPath
+     */
+    deriveAccount(accountIndex = 0) {
+        if (!Number.isInteger(accountIndex) || accountIndex < 0 || accountIndex > MAX_ACCOUNT_INDEX) {
+            throw new ValidationError(`Account index must be an integer from 0 to ${MAX_ACCOUNT_INDEX}`, 'accountIndex');
+        }
+
+        const derivationPath = `${this.basePath}/${accountIndex}`;
+        const key = this.root.derive(derivationPath);
+        const wallet = new Wallet(Buffer.from(key.privateKey).toString('hex'));
+        wallet.accountIndex = accountIndex;
+        wallet.derivationPath = derivationPath;
+        return wallet;
+    }
+
+    /**
+     * Derive consecutive accounts (e.g. one per meter)
+     */
+    deriveAccounts(count, start = 0) {
+        return Array.from({ length: count }, (_, offset) => this.deriveAccount(start + offset));
+    }
+}
+
+export default HDWallet;
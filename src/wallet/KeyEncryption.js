@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { ValidationError } from '../utils/Validation.js';
+
+/**
+ * Password encryption for private keys
+ *
+ * Keys are sealed with AES-256-GCM under a key derived by scrypt, in a
+ * versioned JSON envelope:
+ *
+ * {
+ *   version: 1,
+ *   address,                      // Wallet address, bound to the ciphertext
+ *   crypto: {
+ *     cipher: 'aes-256-gcm', ciphertext, iv, tag,
+ *     kdf: 'scrypt', kdfparams: { n, r, p, dklen, salt }
+ *   }
+ * }
+ */
+
+export const KEYSTORE_VERSION = 1;
+
+// scrypt cost (N = 2^15, r = 8 needs 32 MiB per derivation)
+const DEFAULT_KDF_PARAMS = { n: 32768, r: 8, p: 1, dklen: 32 };
+const MAX_KDF_N = 1048576; // Refuse envelopes that would need more than 1 GiB to open
+
+function deriveKey(password, { n, r, p, dklen, salt }) {
+    return crypto.scryptSync(password, Buffer.from(salt, 'hex'), dklen, {
+        N: n,
+        r,
+        p,
+        maxmem: 256 * n * r
+    });
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new ValidationError('A keystore password is required', 'password');
+    }
+}
+
+/**
+ * Encrypt a private key under a password
+ * @param {string} privateKey - Hex private key
+ * @param {string} address - Address the private key belongs to
+ * @param {Object} kdfparams - Override scrypt cost (n, r, p)
+ * @returns {Object} Keystore envelope
+ */
+export function encryptPrivateKey(privateKey, address, password, kdfparams = {}) {
+    validatePassword(password);
+
+    const params = { ...DEFAULT_KDF_PARAMS, ...kdfparams, salt: crypto.randomBytes(32).toString('hex') };
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(password, params), iv);
+    cipher.setAAD(Buffer.from(address, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey, 'hex')), cipher.final()]);
+
+    return {
+        version: KEYSTORE_VERSION,
+        address,
+        crypto: {
+            cipher: 'aes-256-gcm',
+            ciphertext: ciphertext.toString('hex'),
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            kdf: 'scrypt',
+            kdfparams: params
+        }
+    };
+}
+
+/**
+ * Decrypt the private key in a keystore envelope
+ * @returns {string} Hex private key
+ * @throws {ValidationError} if the envelope is malformed or the password is wrong
+ */
+export function decryptPrivateKey(keystore, password) {
+    validatePassword(password);
+
+    if (!keystore || keystore.version !== KEYSTORE_VERSION) {
+        throw new ValidationError(`Unsupported keystore version ${keystore && keystore.version}`, 'keystore');
+    }
+
+    const { cipher, ciphertext, iv, tag, kdf, kdfparams } = keystore.crypto || {};
+    if (cipher !== 'aes-256-gcm' || kdf !== 'scrypt' || !kdfparams || !ciphertext || !iv || !tag) {
+        throw new ValidationError('Keystore must use scrypt and aes-256-gcm', 'keystore');
+    }
+    if (!Number.isInteger(kdfparams.n) || kdfparams.n > MAX_KDF_N) {
+        throw new ValidationError(`Keystore scrypt cost must be an integer up to ${MAX_KDF_N}`, 'keystore');
+    }
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(password, kdfparams), Buffer.from(iv, 'hex'));
+        decipher.setAAD(Buffer.from(keystore.address, 'utf8'));
+        decipher.setAuthTag(Buffer.from(tag, 'hex'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('hex');
+    } catch (error) {
+        throw new ValidationError('Wrong password or corrupted keystore', 'password');
+    }
+}
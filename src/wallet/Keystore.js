@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import Wallet from './Wallet.js';
+import { ValidationError } from '../utils/Validation.js';
+
+/**
+ * Keystore - Directory of password-encrypted wallets
+ *
+ * Each identity is stored as <name>.json (see KeyEncryption.js), readable
+ * only by the owner, so a node or miner keeps its address across restarts.
+ */
+class Keystore {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+
+    /**
+     * Path of a named identity's keystore file
+     * @private
+     */
+    filePath(name) {
+        if (!/^[A-Za-z0-9_-]+$/.test(name || '')) {
+            throw new ValidationError('Keystore names may only contain letters, digits, _ and -', 'name');
+        }
+        return path.join(this.dir, `${name}.json`);
+    }
+
+    /**
+     * Names of the stored identities
+     */
+    list() {
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    }
+
+    has(name) {
+        return fs.existsSync(this.filePath(name));
+    }
+
+    /**
+     * Encrypt a wallet and write it under a name (never overwrites)
+     */
+    save(name, wallet, password) {
+        const file = this.filePath(name);
+        const envelope = wallet.exportEncrypted(password);
+        fs.writeFileSync(file, JSON.stringify(envelope, null, 2), { mode: 0o600, flag: 'wx' });
+        return envelope;
+    }
+
+    /**
+     * Decrypt a named identity
+     * @throws {ValidationError} if it does not exist or the password is wrong
+     */
+    load(name, password) {
+        const file = this.filePath(name);
+        if (!fs.existsSync(file)) {
+            throw new ValidationError(`No keystore named ${name} in ${this.dir}`, 'name');
+        }
+        return Wallet.importEncrypted(fs.readFileSync(file, 'utf8'), password);
+    }
+
+    /**
+     * Load a named identity, creating and storing a new one on first run
+     */
+    loadOrCreate(name, password, walletType = 'standard') {
+        if (this.has(name)) {
+            return this.load(name, password);
+        }
+
+        const wallet = new Wallet();
+        wallet.walletType = walletType;
+        this.save(name, wallet, password);
+        console.log(`🔑 Created keystore ${name} in ${this.dir}`);
+        return wallet;
+    }
+}
+
+export default Keystore;
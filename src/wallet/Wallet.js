@@ -1,6 +1,9 @@
 import EC from 'elliptic';
 import crypto from 'crypto';
 import Transaction from '../core/Transaction.js';
+import { encryptPrivateKey, decryptPrivateKey } from './KeyEncryption.js';
+import { ValidationError } from '../utils/Validation.js';
+import { keyToAddress } from '../utils/Address.js';
 
 const ec = new EC.ec('secp256k1');
 
@@ -17,18 +20,21 @@ class Wallet {
         }
 
         this.publicKey = this.keyPair.getPublic('hex');
-        this.privateKey = this.keyPair.getPrivate('hex');
+        this.address = keyToAddress(this.keyPair); // Short checksummed address derived from the public key
+        this.privateKey = this.keyPair.getPrivate('hex').padStart(64, '0'); // Keep leading zero bytes
 
         // Wallet metadata
         this.createdAt = Date.now();
         this.walletType = 'standard'; // standard, energy_provider, compute_provider, validator
+        this.accountIndex = null; // Set on accounts derived from a recovery phrase (see HDWallet)
+        this.derivationPath = null;
     }
 
     /**
-     * Get wallet address (public key)
+     * Get wallet address (checksummed hash of the public key)
      */
     getAddress() {
-        return this.publicKey;
+        return this.address;
     }
 
     /**
@@ -40,16 +46,21 @@ class Wallet {
 
     /**
      * Create and sign a transaction
+     * The nonce is taken from the blockchain when one is given
      */
     createTransaction(toAddress, amount, blockchain, transactionType = 'transfer', metadata = {}) {
         const transaction = new Transaction(
-            this.publicKey,
+            this.address,
             toAddress,
             amount,
             transactionType,
             metadata
         );
 
+        if (blockchain) {
+            transaction.nonce = blockchain.getNextNonce(this.address);
+        }
+
         transaction.signTransaction(this.keyPair);
         return transaction;
     }
@@ -58,25 +69,29 @@ class Wallet {
      * Get wallet balance
      */
     getBalance(blockchain) {
-        return blockchain.getBalanceOfAddress(this.publicKey);
+        return blockchain.getBalanceOfAddress(this.address);
     }
 
     /**
      * Get transaction history
      */
     getTransactionHistory(blockchain) {
-        return blockchain.getAllTransactionsForAddress(this.publicKey);
+        return blockchain.getAllTransactionsForAddress(this.address);
     }
 
     /**
      * Export wallet to JSON
+     * Includes the raw private key; use exportEncrypted() for anything stored or sent
      */
     export() {
         return {
+            address: this.address,
             publicKey: this.publicKey,
             privateKey: this.privateKey,
             createdAt: this.createdAt,
-            walletType: this.walletType
+            walletType: this.walletType,
+            accountIndex: this.accountIndex,
+            derivationPath: this.derivationPath
         };
     }
 
@@ -87,6 +102,49 @@ class Wallet {
         const wallet = new Wallet(walletData.privateKey);
         wallet.createdAt = walletData.createdAt;
         wallet.walletType = walletData.walletType || 'standard';
+        wallet.accountIndex = walletData.accountIndex ?? null;
+        wallet.derivationPath = walletData.derivationPath || null;
+        return wallet;
+    }
+
+    /**
+     * Export wallet as a password-encrypted keystore envelope
+     * @param {Object} kdfparams - Override scrypt cost (n, r, p)
+     */
+    exportEncrypted(password, kdfparams = {}) {
+        return {
+            ...encryptPrivateKey(this.privateKey, this.address, password, kdfparams),
+            createdAt: this.createdAt,
+            walletType: this.walletType,
+            accountIndex: this.accountIndex,
+            derivationPath: this.derivationPath
+        };
+    }
+
+    /**
+     * Import wallet from a keystore envelope (object or JSON string)
+     * @throws {ValidationError} if the password is wrong or the envelope is malformed
+     */
+    static importEncrypted(json, password) {
+        let envelope = json;
+        if (typeof json === 'string') {
+            try {
+                envelope = JSON.parse(json);
+            } catch (error) {
+                throw new ValidationError(`Keystore is not valid JSON: ${error.message}`, 'keystore');
+            }
+        }
+
+        const wallet = new Wallet(decryptPrivateKey(envelope, password));
+
+        if (wallet.getAddress() !== envelope.address) {
+            throw new ValidationError('Keystore key does not match its address', 'keystore');
+        }
+
+        wallet.createdAt = envelope.createdAt || wallet.createdAt;
+        wallet.walletType = envelope.walletType || 'standard';
+        wallet.accountIndex = envelope.accountIndex ?? null;
+        wallet.derivationPath = envelope.derivationPath || null;
         return wallet;
     }
 
@@ -107,11 +165,16 @@ class Wallet {
     getSummary(blockchain = null) {
         const summary = {
             walletId: this.getWalletId(),
-            address: this.publicKey.substring(0, 20) + '...',
+            address: this.address,
             walletType: this.walletType,
             createdAt: new Date(this.createdAt).toISOString()
         };
 
+        if (this.accountIndex !== null) {
+            summary.accountIndex = this.accountIndex;
+            summary.derivationPath = this.derivationPath;
+        }
+
         if (blockchain) {
             summary.balance = this.getBalance(blockchain);
             summary.transactionCount = this.getTransactionHistory(blockchain).length;